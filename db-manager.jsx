@@ -1,12 +1,12 @@
-import React, { useState, useMemo, useEffect, useCallback } from 'react';
-import { Upload, Trash2, Download, Filter, Search, X, FileSpreadsheet, AlertCircle, Phone, MapPin, Users, Building2, RefreshCw, CheckCircle2, XCircle, Loader2, Zap, Clock, Car, Route, Target, Database, Calendar, Hash, History, Layers, Tag, Settings, ArrowRight, Check, Columns } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import { Upload, Trash2, Download, Filter, Search, X, FileSpreadsheet, AlertCircle, Phone, MapPin, Users, Building2, RefreshCw, CheckCircle2, XCircle, Loader2, Zap, Clock, Car, Route, Target, Database, Calendar, Hash, History, Layers, Tag, Settings, ArrowRight, Check, Columns, Bookmark, Save, Pencil, Plus, Sheet, Table, ChevronDown, ChevronUp, FileText, Wand2, ListChecks, ShieldAlert, GitMerge, Undo2, ChevronLeft, ChevronRight } from 'lucide-react';
 import * as XLSX from 'xlsx';
 
 // ============================================
 // DATABASE MANAGER (IndexedDB)
 // ============================================
 const DB_NAME = 'ProspectDB';
-const DB_VERSION = 3;
+const DB_VERSION = 6;
 
 const initDB = () => {
   return new Promise((resolve, reject) => {
@@ -27,6 +27,16 @@ const initDB = () => {
       if (!db.objectStoreNames.contains('config')) {
         db.createObjectStore('config', { keyPath: 'key' });
       }
+      if (!db.objectStoreNames.contains('journal')) {
+        db.createObjectStore('journal', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains('history')) {
+        const store = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('uniqueId', 'uniqueId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('trash')) {
+        db.createObjectStore('trash', { keyPath: 'uniqueId' });
+      }
     };
   });
 };
@@ -40,6 +50,14 @@ const dbOps = {
       req.onerror = () => rej(req.error);
     });
   },
+  async getAllByIndex(store, index, value) {
+    const db = await initDB();
+    return new Promise((res, rej) => {
+      const req = db.transaction(store, 'readonly').objectStore(store).index(index).getAll(value);
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+  },
   async put(store, data) {
     const db = await initDB();
     return new Promise((res, rej) => {
@@ -58,6 +76,16 @@ const dbOps = {
       tx.onerror = () => rej(tx.error);
     });
   },
+  async deleteMany(store, keys) {
+    const db = await initDB();
+    return new Promise((res, rej) => {
+      const tx = db.transaction(store, 'readwrite');
+      const s = tx.objectStore(store);
+      keys.forEach(key => s.delete(key));
+      tx.oncomplete = () => res();
+      tx.onerror = () => rej(tx.error);
+    });
+  },
   async delete(store, key) {
     const db = await initDB();
     return new Promise((res, rej) => {
@@ -119,7 +147,7 @@ const FIELD_SYNONYMS = {
   siren: ['siren', 'n° siren', 'numero siren', 'numéro siren'],
   naf: ['naf', 'code naf', 'ape', 'code ape', 'activité principale'],
   effectifCode: ['effectif', 'effectif (code)', 'code effectif', 'tranche effectif', 'nb salariés', 'nombre salariés', 'salariés', 'employees'],
-  effectifLabel: ['effectif label', 'tranche', 'effectif entreprise', 'effectif de l\'entreprise'],
+  effectifLabel: ['effectif label', 'effectif', 'tranche', 'effectif entreprise', 'effectif de l\'entreprise'],
   legalForm: ['forme juridique', 'forme_juridique', 'statut juridique', 'legal form'],
   capital: ['capital', 'capital social'],
   department: ['département', 'departement', 'dept', 'dpt'],
@@ -133,213 +161,3596 @@ const FIELD_SYNONYMS = {
   createdAt: ['date import', 'date_import', 'importé le', 'created_at', 'createdat'],
   lastExportedAt: ['dernier export', 'last_export', 'exporté le', 'lastexportedat'],
   exportCount: ['nb exports', 'exports', 'export_count', 'exportcount'],
-  sourceFile: ['source', 'fichier source', 'origine', 'sourcefile']
+  sourceFile: ['source', 'fichier source', 'origine', 'sourcefile'],
+  aliases: ['alias', 'aliases', 'ids fusionnés', 'anciens ids'],
+  tags: ['tags', 'tag', 'étiquettes', 'etiquettes', 'étiquette', 'mots clés', 'mots-clés'],
+  pipelineStatus: ['statut prospection', 'statut', 'statut commercial', 'étape', 'pipeline'],
+  distanceKm: ['distance (km)', 'distance km', 'distance'],
+  durationMin: ['temps trajet (min)', 'temps de trajet', 'temps trajet', 'durée trajet']
+};
+
+// Champs proposés dans l'écran de mapping (tous les champs connus du tableau de synonymes)
+const MAPPING_FIELDS = [
+  { key: 'uniqueId', label: 'ID Fiche', required: false, description: 'Identifiant unique existant' },
+  { key: 'name', label: 'Nom / Entreprise', required: true },
+  { key: 'address', label: 'Adresse', required: false },
+  { key: 'postalCode', label: 'Code Postal', required: true },
+  { key: 'city', label: 'Ville', required: false },
+  { key: 'department', label: 'Département', required: false, description: 'Code : 35, 2A, 974...' },
+  { key: 'region', label: 'Région', required: false },
+  { key: 'phone', label: 'Téléphone', required: false },
+  { key: 'mobile', label: 'Mobile', required: false },
+  { key: 'phone2', label: 'Téléphone 3 / Fax', required: false },
+  { key: 'email', label: 'Email', required: false },
+  { key: 'website', label: 'Site web', required: false },
+  { key: 'category', label: 'Catégorie/Rubrique', required: false },
+  { key: 'tags', label: 'Tags', required: false, description: 'Séparés par des virgules' },
+  { key: 'pipelineStatus', label: 'Statut prospection', required: false, description: 'Libellé d\'un statut configuré' },
+  { key: 'siret', label: 'SIRET', required: false },
+  { key: 'siren', label: 'SIREN', required: false },
+  { key: 'naf', label: 'Code NAF', required: false },
+  { key: 'legalForm', label: 'Forme juridique', required: false },
+  { key: 'capital', label: 'Capital social', required: false, description: 'Montant en €' },
+  { key: 'effectifCode', label: 'Effectif (code)', required: false, description: 'Code INSEE: NN, 00, 01...' },
+  { key: 'effectifLabel', label: 'Effectif (libellé)', required: false },
+  { key: 'dirigeants', label: 'Dirigeants', required: false },
+  { key: 'dateCreation', label: 'Date création entreprise', required: false },
+  { key: 'description', label: 'Description', required: false },
+  { key: 'services', label: 'Services', required: false },
+  { key: 'lat', label: 'Latitude', required: false },
+  { key: 'lon', label: 'Longitude', required: false },
+  { key: 'distanceKm', label: 'Distance (km)', required: false, description: 'Trajet déjà calculé' },
+  { key: 'durationMin', label: 'Temps trajet (min)', required: false },
+  { key: 'createdAt', label: 'Date import', required: false, description: "Conservée lors d'un ré-import" },
+  { key: 'lastExportedAt', label: 'Dernier export', required: false },
+  { key: 'exportCount', label: 'Nb exports', required: false },
+  { key: 'sourceFile', label: 'Fichier source', required: false },
+  { key: 'aliases', label: 'Alias (IDs fusionnés)', required: false, description: 'Anciens IDs absorbés par une fusion' }
+];
+
+// Synonymes trop génériques : ils ne comptent que si l'en-tête est exactement ce mot
+const EXACT_ONLY_SYNONYMS = ['type', 'id', 'ref', 'contact', 'source', 'web', 'site', 'long', 'postal', 'tranche', 'exports', 'creation', 'création', 'responsable', 'notes'];
+const DETECTION_THRESHOLD = 0.35;
+const DETECTION_SAMPLE_SIZE = 200;
+
+const normalizeLabel = (str) => String(str ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[_\-.:/()]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Score de l'en-tête pour un champ : 1 = identique à un synonyme, sinon mot entier ou sous-chaîne
+const scoreHeader = (header, synonyms) => {
+  const h = normalizeLabel(header);
+  if (!h) return 0;
+  let best = 0;
+  synonyms.forEach(synonym => {
+    const syn = normalizeLabel(synonym);
+    if (h === syn) best = 1;
+    if (EXACT_ONLY_SYNONYMS.includes(synonym)) return;
+    if (` ${h} `.includes(` ${syn} `)) best = Math.max(best, syn.length <= 3 ? 0.6 : 0.5 + 0.4 * (syn.length / h.length));
+    else if (syn.length >= 5 && h.includes(syn)) best = Math.max(best, 0.5);
+  });
+  return best;
+};
+
+const isLuhnValid = (digits) => {
+  if (!/^\d+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+const digitsOf = (v) => String(v).replace(/[\s.\u00a0]/g, '');
+const asNumber = (v) => typeof v === 'number' ? v : parseDecimal(/^[\d\s.,+-]+$/.test(String(v).trim()) ? v : null);
+const isExcelDate = (v) => typeof v === 'number' && v > 10000 && v < 60000;
+
+// Reconnaissance des valeurs : champ -> test sur une valeur
+// "strict" = valeurs assez caractéristiques pour détecter une colonne sans en-tête, et pénaliser un en-tête démenti par le contenu
+const CONTENT_VALIDATORS = {
+  siret: { strict: true, test: v => { const d = digitsOf(v); return d.length === 14 && isLuhnValid(d); } },
+  siren: { strict: true, test: v => { const d = digitsOf(v); return d.length === 9 && isLuhnValid(d); } },
+  postalCode: { strict: true, test: v => { const d = digitsOf(v); return /^\d{4,5}$/.test(d) && Number(d) >= 1000 && Number(d) <= 98999; } },
+  email: { strict: true, test: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v).trim()) },
+  website: { strict: false, test: v => !String(v).includes('@') && /^(https?:\/\/|www\.)|\.(fr|com|net|org|eu|bzh)(\/|$)/i.test(String(v).trim()) },
+  phone: { strict: false, test: v => /^(\+|00)?\d{9,13}$/.test(String(v).replace(/[\s.\-()]/g, '')) },
+  mobile: { strict: false, test: v => getPhoneType(v) === 'mobile' },
+  phone2: { strict: false, test: v => /^(\+|00)?\d{9,13}$/.test(String(v).replace(/[\s.\-()]/g, '')) },
+  lat: { strict: true, test: v => { const n = asNumber(v); return n !== null && n >= 41 && n <= 52; } },
+  lon: { strict: true, test: v => { const n = asNumber(v); return n !== null && n >= -5.5 && n <= 10 && !Number.isInteger(n); } },
+  naf: { strict: true, test: v => /^\d{2}\.?\d{2}[a-z]$/i.test(String(v).trim()) },
+  effectifCode: { strict: true, test: v => Object.hasOwn(EFFECTIF_LABELS, String(v).trim().toUpperCase().padStart(2, '0')) },
+  effectifLabel: { strict: false, test: v => /sal|\d+\s*(-|à)\s*\d+/i.test(String(v)) },
+  department: { strict: false, test: v => /^(0?[1-9]|[1-8]\d|9[0-5]|2a|2b|97[1-6])$/i.test(String(v).trim()) },
+  capital: { strict: false, test: v => asNumber(v) !== null },
+  distanceKm: { strict: false, test: v => asNumber(v) !== null },
+  durationMin: { strict: false, test: v => asNumber(v) !== null },
+  dateCreation: { strict: false, test: v => isExcelDate(v) || /^\d{2}\/\d{2}\/\d{4}|^\d{4}-\d{2}-\d{2}/.test(String(v).trim()) },
+  address: { strict: false, test: v => /^\d+\s*(bis|ter)?\s*,?\s*(rue|r\.|av|avenue|bd|boulevard|chemin|ch\.|place|pl\.|route|rte|all[ée]e|impasse|imp\.|quai|cours|lieu[- ]dit|zi|za|zac)\b/i.test(String(v).trim()) },
+  uniqueId: { strict: false, test: v => /^[a-z]+(_[a-z]+)*_\d{3,}$/i.test(String(v).trim()) }
+};
+
+// Part des valeurs non vides de la colonne qui passent le test du champ
+const scoreContent = (values, field) => {
+  const validator = CONTENT_VALIDATORS[field];
+  if (!validator || !values.length) return null;
+  return values.filter(v => { try { return validator.test(v); } catch { return false; } }).length / values.length;
+};
+
+// Fonction pour détecter automatiquement les colonnes (en-têtes + contenu)
+// Retourne le mapping retenu et, pour chaque champ, le score de confiance de chaque colonne candidate
+const detectColumns = (headers, rows = []) => {
+  const sample = rows.slice(0, DETECTION_SAMPLE_SIZE);
+  const values = Object.fromEntries(headers.map(h => [h, sample.map(r => r[h]).filter(v => v !== null && v !== undefined && String(v).trim() !== '')]));
+
+  const scores = {};
+  const pairs = [];
+  Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms], order) => {
+    headers.forEach(header => {
+      const headerScore = scoreHeader(header, synonyms);
+      const contentScore = scoreContent(values[header], field);
+      let confidence = headerScore;
+      if (contentScore !== null) {
+        if (headerScore > 0) {
+          confidence = 0.6 * headerScore + 0.4 * contentScore;
+          if (CONTENT_VALIDATORS[field].strict && contentScore < 0.2) confidence *= 0.5;
+        } else if (CONTENT_VALIDATORS[field].strict && contentScore >= 0.8) {
+          confidence = 0.75 * contentScore;
+        }
+      }
+      if (confidence < DETECTION_THRESHOLD) return;
+      confidence = Math.round(confidence * 100) / 100;
+      (scores[field] ||= {})[header] = confidence;
+      pairs.push({ field, header, confidence, order });
+    });
+  });
+
+  // Attribution gloutonne : meilleur score d'abord, une colonne ne sert qu'à un champ
+  const mapping = {};
+  const used = new Set();
+  pairs.sort((a, b) => b.confidence - a.confidence || a.order - b.order).forEach(({ field, header }) => {
+    if (mapping[field] || used.has(header)) return;
+    mapping[field] = header;
+    used.add(header);
+  });
+
+  return { mapping, scores };
+};
+
+// Colonnes candidates d'un champ, triées par confiance décroissante
+const getCandidates = (scores, field) =>
+  Object.entries(scores?.[field] || {}).map(([column, confidence]) => ({ column, confidence }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+// ============================================
+// GRID PARSING (HEADER ROW DETECTION)
+// ============================================
+const HEADER_SCAN_ROWS = 30;
+const FOOTER_PATTERN = /^(total|totaux|sous[- ]?total|somme|nombre|nb\.? total|count)\b/i;
+
+const isBlankCell = (v) => v === null || v === undefined || String(v).trim() === '';
+const filledCells = (row) => (row || []).filter(c => !isBlankCell(c));
+const isNumericCell = (v) => typeof v === 'number' || /^[\d\s.,€%+-]+$/.test(String(v).trim());
+
+const isKnownHeader = (cell) => Object.values(FIELD_SYNONYMS).some(synonyms => scoreHeader(cell, synonyms) >= 0.5);
+
+// Trouver la ligne d'en-tête la plus probable parmi les premières lignes de la feuille
+const detectHeaderRow = (grid) => {
+  let bestIndex = 0;
+  let bestScore = -1;
+  grid.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const cells = filledCells(row);
+    if (cells.length < 2) return;
+    const texts = cells.filter(c => typeof c === 'string' && !isNumericCell(c)).length;
+    const known = cells.filter(isKnownHeader).length;
+    const distinct = new Set(cells.map(c => String(c).toLowerCase().trim())).size === cells.length;
+    const following = grid.slice(index + 1, index + 4).map(r => filledCells(r).length);
+    const followed = following.length && Math.max(...following) >= cells.length * 0.5;
+    const score = known * 3 + texts + (distinct ? 1 : 0) + (followed ? 2 : 0);
+    if (score > bestScore) { bestScore = score; bestIndex = index; }
+  });
+  return bestIndex;
+};
+
+// Ligne de pied de tableau : "Total" suivi uniquement de valeurs numériques
+const isFooterRow = (row) => {
+  const cells = filledCells(row);
+  return cells.length > 0 && FOOTER_PATTERN.test(String(cells[0]).trim()) && cells.slice(1).every(isNumericCell);
+};
+
+// Construire les lignes (objets indexés par en-tête) à partir de la grille brute
+const buildRowsFromGrid = (grid, headerRow, dataStartRow) => {
+  const width = grid.reduce((w, r) => Math.max(w, (r || []).length), 0);
+  const headerCells = grid[headerRow] || [];
+  const body = grid.slice(dataStartRow).map((row, i) => ({ row: row || [], line: dataStartRow + i + 1 }));
+
+  // Bloc final isolé par une ligne vide et composé de lignes quasi vides (mentions, "Généré le...")
+  let end = body.length;
+  while (end > 0 && !filledCells(body[end - 1].row).length) end--;
+  const lastGap = body.slice(0, end).map(b => filledCells(b.row).length).lastIndexOf(0);
+  if (lastGap !== -1 && body.slice(lastGap + 1, end).every(b => filledCells(b.row).length <= 1 || isFooterRow(b.row))) end = lastGap;
+
+  const entries = body.slice(0, end).filter(b => filledCells(b.row).length && !isFooterRow(b.row));
+
+  const headers = [];
+  const columns = [];
+  for (let col = 0; col < width; col++) {
+    const hasData = entries.some(b => !isBlankCell(b.row[col]));
+    if (isBlankCell(headerCells[col]) && !hasData) continue;
+    let label = isBlankCell(headerCells[col]) ? `Colonne ${col + 1}` : String(headerCells[col]).trim();
+    if (headers.includes(label)) {
+      let n = 2;
+      while (headers.includes(`${label} (${n})`)) n++;
+      label = `${label} (${n})`;
+    }
+    headers.push(label);
+    columns.push(col);
+  }
+
+  const rows = entries.map(b => Object.fromEntries(headers.map((h, i) => [h, b.row[columns[i]] ?? null])));
+  return { headers, rows, lines: entries.map(b => b.line) };
+};
+
+// Appliquer (ou détecter) la ligne d'en-tête et la première ligne de données d'une feuille
+const layoutSheet = (sheet, layout = {}) => {
+  const headerRow = layout.headerRow ?? detectHeaderRow(sheet.grid);
+  const dataStartRow = Math.max(layout.dataStartRow ?? headerRow + 1, headerRow + 1);
+  return { ...sheet, headerRow, dataStartRow, ...buildRowsFromGrid(sheet.grid, headerRow, dataStartRow) };
+};
+
+// ============================================
+// CSV PARSING (ENCODING / DELIMITER SNIFFING)
+// ============================================
+const CSV_DELIMITERS = [
+  { value: ';', label: 'Point-virgule (;)' },
+  { value: ',', label: 'Virgule (,)' },
+  { value: '\t', label: 'Tabulation' },
+  { value: '|', label: 'Barre verticale (|)' }
+];
+const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-8-bom', label: 'UTF-8 (BOM)' },
+  { value: 'windows-1252', label: 'Windows-1252 (ANSI)' }
+];
+const CSV_QUOTES = [
+  { value: '"', label: 'Guillemets doubles (")' },
+  { value: "'", label: "Apostrophes (')" },
+  { value: '', label: 'Aucun' }
+];
+const CSV_SNIFF_LINES = 30;
+
+const isCsvFile = (fileName) => /\.(csv|tsv|txt)$/i.test(fileName || '');
+
+const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8-bom';
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch { return 'windows-1252'; }
+};
+
+// Le décodeur UTF-8 retire lui-même le BOM
+const decodeText = (bytes, encoding) => new TextDecoder(encoding === 'utf-8-bom' ? 'utf-8' : encoding).decode(bytes);
+
+// Découper un texte CSV en grille (gère les guillemets échappés et les retours à la ligne dans les champs)
+const parseCsv = (text, delimiter, quote) => {
+  const grid = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const pushField = () => { row.push(field.trim() === '' ? null : field); field = ''; };
+  const pushRow = () => { pushField(); grid.push(row); row = []; };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === quote && text[i + 1] === quote) { field += quote; i++; }
+      else if (ch === quote) inQuotes = false;
+      else field += ch;
+    } else if (quote && ch === quote && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (ch === delimiter) pushField();
+    else if (ch === '\n') pushRow();
+    else if (ch === '\r') { if (text[i + 1] !== '\n') pushRow(); }
+    else field += ch;
+  }
+  if (field !== '' || row.length) pushRow();
+  return grid;
+};
+
+const detectQuote = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, CSV_SNIFF_LINES).join('\n');
+  const count = (q) => (sample.match(new RegExp(`(^|[;,\\t|])${q}|${q}([;,\\t|]|$)`, 'gm')) || []).length;
+  const doubles = count('"');
+  const singles = count("'");
+  if (doubles) return '"';
+  return singles >= 4 ? "'" : '"';
+};
+
+// Séparateur retenu : celui qui donne le même nombre de colonnes (> 1) sur le plus de lignes
+const detectDelimiter = (text, quote) => {
+  const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, CSV_SNIFF_LINES).join('\n');
+  let best = { value: ';', score: 0 };
+  CSV_DELIMITERS.forEach(({ value }) => {
+    const widths = parseCsv(lines, value, quote).map(r => r.length).filter(w => w > 1);
+    if (!widths.length) return;
+    const freq = {};
+    widths.forEach(w => { freq[w] = (freq[w] || 0) + 1; });
+    const [mode, hits] = Object.entries(freq).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    const score = hits * 100 + Number(mode);
+    if (score > best.score) best = { value, score };
+  });
+  return best.value;
+};
+
+const sniffCsv = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+  const text = decodeText(bytes, encoding);
+  const quote = detectQuote(text);
+  return { encoding, quote, delimiter: detectDelimiter(text, quote) };
+};
+
+const readCsvGrid = (buffer, { encoding, delimiter, quote }) =>
+  parseCsv(decodeText(new Uint8Array(buffer), encoding), delimiter, quote);
+
+// ============================================
+// CUSTOM FIELDS
+// ============================================
+const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Texte' },
+  { value: 'number', label: 'Nombre' },
+  { value: 'date', label: 'Date' },
+  { value: 'boolean', label: 'Oui/Non' }
+];
+const CUSTOM_FILTER_OPS = {
+  text: [{ value: 'contains', label: 'contient' }],
+  number: [{ value: 'eq', label: '=' }, { value: 'gte', label: '≥' }, { value: 'lte', label: '≤' }],
+  date: [{ value: 'gte', label: 'à partir du' }, { value: 'lte', label: "jusqu'au" }],
+  boolean: [{ value: 'eq', label: 'est' }]
+};
+const TRUE_WORDS = ['oui', 'o', 'yes', 'y', 'vrai', 'true', 'x', '1'];
+const FALSE_WORDS = ['non', 'n', 'no', 'faux', 'false', '0'];
+
+const createCustomFieldKey = (label, existing) => {
+  const base = `cf_${normalizeLabel(label).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'champ'}`;
+  let key = base;
+  let n = 2;
+  while (existing.some(f => f.key === key)) key = `${base}_${n++}`;
+  return key;
+};
+
+// Convertir une date (série Excel, jj/mm/aaaa ou ISO) au format ISO aaaa-mm-jj
+const toISODate = (value) => {
+  if (isExcelDate(value)) return new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10);
+  const str = String(value).trim();
+  const fr = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (fr) return `${fr[3]}-${fr[2].padStart(2, '0')}-${fr[1].padStart(2, '0')}`;
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+  return null;
+};
+
+const inferCustomType = (values) => {
+  const filled = values.filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+  if (!filled.length) return 'text';
+  const words = filled.map(v => String(v).trim().toLowerCase());
+  if (words.every(w => TRUE_WORDS.includes(w) || FALSE_WORDS.includes(w)) && words.some(w => !/^[01]$/.test(w))) return 'boolean';
+  if (filled.every(v => asNumber(v) !== null)) return 'number';
+  if (filled.every(v => toISODate(v))) return 'date';
+  return 'text';
+};
+
+const coerceCustomValue = (value, type) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (type === 'number') return parseDecimal(value);
+  if (type === 'date') return toISODate(value);
+  if (type === 'boolean') {
+    const w = String(value).trim().toLowerCase();
+    return TRUE_WORDS.includes(w) ? true : FALSE_WORDS.includes(w) ? false : null;
+  }
+  return String(value).trim();
+};
+
+const formatCustomValue = (value, type) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'boolean') return value ? 'Oui' : 'Non';
+  if (type === 'date') return formatDate(value);
+  if (type === 'number') return Number(value).toLocaleString('fr-FR');
+  return String(value);
+};
+
+const matchCustomFilter = (value, type, op, expected) => {
+  if (op === 'filled') return value !== null && value !== undefined && value !== '';
+  if (op === 'empty') return value === null || value === undefined || value === '';
+  if (value === null || value === undefined) return false;
+  if (type === 'boolean') return value === (expected === 'true');
+  if (type === 'number') {
+    const n = parseDecimal(expected);
+    if (n === null) return true;
+    return op === 'gte' ? value >= n : op === 'lte' ? value <= n : value === n;
+  }
+  if (type === 'date') return op === 'lte' ? value <= expected : value >= expected;
+  return String(value).toLowerCase().includes(String(expected).toLowerCase());
+};
+
+// ============================================
+// COLUMN TRANSFORMATIONS
+// ============================================
+// Règle par champ : { mode: 'column' | 'concat' | 'split', columns, separator, column, pattern, group,
+//                    trim, case: '' | 'upper' | 'lower' | 'title', replacements: [{ from, to }] }
+const TRANSFORM_PRESETS = {
+  postalCode: [{ label: 'CP Ville → CP', rule: { mode: 'split', pattern: '^\\s*(\\d{4,5})\\s+(.+)$', group: 1 } }],
+  city: [{ label: 'CP Ville → Ville', rule: { mode: 'split', pattern: '^\\s*(\\d{4,5})\\s+(.+)$', group: 2 } }]
+};
+
+const isTransformActive = (rule) => !!rule && (rule.mode !== 'column' || rule.trim || rule.case || rule.replacements?.length > 0);
+
+// Colonnes du fichier lues par une règle (pour savoir lesquelles restent non mappées)
+const getTransformColumns = (rule) => {
+  if (!rule) return [];
+  if (rule.mode === 'concat') return rule.columns || [];
+  if (rule.mode === 'split') return rule.column ? [rule.column] : [];
+  return [];
+};
+
+const applyCase = (value, mode) => {
+  if (mode === 'upper') return value.toUpperCase();
+  if (mode === 'lower') return value.toLowerCase();
+  if (mode === 'title') return value.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+  return value;
+};
+
+const applyTransform = (row, column, rule) => {
+  let value;
+  if (rule.mode === 'concat') {
+    value = (rule.columns || []).map(c => row[c]).filter(v => !isBlankCell(v)).map(v => String(v).trim()).join(rule.separator ?? ' ');
+  } else if (rule.mode === 'split') {
+    const source = row[rule.column || column];
+    if (isBlankCell(source)) return null;
+    try {
+      const match = String(source).match(new RegExp(rule.pattern, 'iu'));
+      value = match ? match[rule.group ?? 1] : null;
+    } catch { return null; }
+  } else {
+    value = column ? row[column] : null;
+  }
+  if (isBlankCell(value)) return null;
+  if (!rule.trim && !rule.case && !rule.replacements?.length) return value;
+
+  let str = String(value);
+  if (rule.trim) str = str.replace(/\s+/g, ' ').trim();
+  str = applyCase(str, rule.case);
+  const replacement = (rule.replacements || []).find(r => r.from.trim().toLowerCase() === str.trim().toLowerCase());
+  if (replacement) str = replacement.to;
+  return str === '' ? null : str;
+};
+
+// "ancienne valeur => nouvelle valeur", une par ligne
+const parseReplacements = (text) => text.split('\n').map(line => line.split('=>'))
+  .filter(parts => parts.length === 2 && parts[0].trim()).map(([from, to]) => ({ from: from.trim(), to: to.trim() }));
+const formatReplacements = (replacements = []) => replacements.map(r => `${r.from} => ${r.to}`).join('\n');
+
+// ============================================
+// IMPORT VALIDATION
+// ============================================
+const REJECTS_ERROR_COLUMN = 'Erreur';
+// Résumé du journal d'appels dans l'export : le journal reste dans l'application, ces colonnes sont ignorées au ré-import
+const CALL_SUMMARY_COLUMNS = ['Dernier appel', 'Nb appels', 'Dernier commentaire'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const VALIDATION_RULES = {
+  empty: { level: 'error', label: 'Ligne sans nom, téléphone ni SIRET' },
+  name_missing: { level: 'warning', label: 'Nom manquant' },
+  siret_length: { level: 'warning', label: 'SIRET sans 14 chiffres' },
+  siret_luhn: { level: 'warning', label: 'SIRET invalide (clé de contrôle)' },
+  siren_invalid: { level: 'warning', label: 'SIREN invalide' },
+  siret_siren_mismatch: { level: 'warning', label: 'SIRET et SIREN incohérents' },
+  postal_padded: { level: 'warning', label: 'Code postal à 4 chiffres (zéro initial reconstitué)' },
+  postal_invalid: { level: 'warning', label: 'Code postal invalide' },
+  email_format: { level: 'warning', label: 'Email mal formé' },
+  phone_invalid: { level: 'warning', label: 'Téléphone non reconnu' },
+  status_unknown: { level: 'warning', label: 'Statut de prospection inconnu (ignoré)' }
+};
+
+// Valeur lue dans la ligne source pour un champ (colonne mappée ou règle de transformation)
+const readMappedValue = (row, mapping, transforms, key) => {
+  const col = mapping[key];
+  const rule = transforms?.[key];
+  if (!col && !rule) return null;
+  const val = rule ? applyTransform(row, col, rule) : row[col];
+  return val !== undefined && val !== null && val !== '' ? val : null;
+};
+
+// Contrôles d'une ligne importée : [{ rule, message }]
+const validateImportRow = (record, raw) => {
+  const issues = [];
+  const add = (rule, message) => issues.push({ rule, message: message || VALIDATION_RULES[rule].label });
+
+  if (!record.name && !record.phone && !record.siret) add('empty');
+  else if (!record.name) add('name_missing');
+
+  if (raw('siret')) {
+    if (record.siret?.length !== 14) add('siret_length', `SIRET « ${raw('siret')} » : ${record.siret?.length || 0} chiffres au lieu de 14`);
+    else if (!isValidSiret(record.siret)) add('siret_luhn', `SIRET ${record.siret} : clé de contrôle invalide`);
+  }
+  if (raw('siren') && !isValidSiren(record.siren)) add('siren_invalid', `SIREN « ${raw('siren')} » invalide`);
+  if (record.idIssues?.includes('siret_siren_mismatch')) add('siret_siren_mismatch', `SIRET ${record.siret} ≠ SIREN ${record.siren}`);
+
+  const rawCp = raw('postalCode');
+  if (rawCp !== null) {
+    const digits = String(rawCp).trim().split('.')[0].replace(/\D/g, '');
+    if (!record.postalCode || Number(record.postalCode) < 1000 || Number(record.postalCode) > 98999) add('postal_invalid', `Code postal « ${rawCp} » invalide`);
+    else if (digits.length === 4) add('postal_padded', `Code postal « ${rawCp} » complété en ${record.postalCode}`);
+  }
+
+  if (record.email && !EMAIL_PATTERN.test(String(record.email).trim())) add('email_format', `Email « ${record.email} » mal formé`);
+
+  ['phone', 'mobile', 'phone2'].forEach(key => {
+    if (raw(key) !== null && !record[key]) add('phone_invalid', `Téléphone « ${raw(key)} » non reconnu`);
+  });
+
+  if (raw('pipelineStatus') !== null && !record.pipelineStatus) add('status_unknown', `Statut « ${raw('pipelineStatus')} » inconnu, ignoré`);
+
+  return issues;
+};
+
+const isRejected = (issues) => issues.some(i => VALIDATION_RULES[i.rule].level === 'error');
+
+// ============================================
+// MAPPING PROFILES
+// ============================================
+// Signature d'un fichier : ses en-têtes normalisés et triés (indépendante de l'ordre des colonnes)
+const getHeaderSignature = (headers) =>
+  headers.map(h => h?.toString().toLowerCase().trim() || '').filter(Boolean).sort().join('|');
+
+// Ne garder que les colonnes du profil présentes dans le fichier courant
+const applyProfileMapping = (profileMapping, headers) =>
+  Object.fromEntries(Object.entries(profileMapping || {}).filter(([, col]) => col && headers.includes(col)));
+
+const createProfileId = () => `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+// ============================================
+// HELPERS
+// ============================================
+// Téléphones stockés au format E.164 (+33612345678) ; les DOM ont leur propre indicatif
+const DOM_PHONE_PREFIXES = {
+  '0262': '262', '0263': '262', '0692': '262', '0693': '262', // La Réunion
+  '0269': '262', '0639': '262', // Mayotte
+  '0590': '590', '0690': '590', '0691': '590', // Guadeloupe, Saint-Martin, Saint-Barthélemy
+  '0594': '594', '0694': '594', // Guyane
+  '0596': '596', '0696': '596', '0697': '596' // Martinique
+};
+const DOM_MOBILE_PREFIXES = ['0692', '0693', '0639', '0690', '0691', '0694', '0696', '0697'];
+const DOM_COUNTRY_CODES = ['262', '590', '594', '596'];
+// Indicatifs étrangers, du plus long au plus court pour le découpage
+const FOREIGN_COUNTRY_CODES = ['352', '377', '376', '212', '213', '216', '32', '41', '49', '34', '39', '44', '31', '1'];
+
+const PHONE_TYPES = {
+  mobile: { label: 'Mobile', short: 'Mob.', className: 'bg-green-100 text-green-700' },
+  landline: { label: 'Fixe', short: 'Fixe', className: 'bg-gray-100 text-gray-600' },
+  voip: { label: 'VoIP', short: 'VoIP', className: 'bg-blue-100 text-blue-700' },
+  free: { label: 'Numéro gratuit', short: 'Gratuit', className: 'bg-teal-100 text-teal-700' },
+  premium: { label: 'Surtaxé', short: 'Surtaxé', className: 'bg-red-100 text-red-700' },
+  foreign: { label: 'Étranger', short: 'Étr.', className: 'bg-amber-100 text-amber-700' }
+};
+
+// Numéro national français à 10 chiffres -> E.164
+const frenchToE164 = (national) => {
+  const domCode = DOM_PHONE_PREFIXES[national.slice(0, 4)];
+  return domCode ? `+${domCode}${national.slice(1)}` : `+33${national.slice(1)}`;
+};
+
+const normalizePhone = (phone) => {
+  if (phone === null || phone === undefined || phone === '') return null;
+  const str = (typeof phone === 'number' ? String(Math.round(phone)) : String(phone)).replace(/\(0\)/g, '').trim();
+  const international = /^(\+|00)/.test(str);
+  let digits = str.replace(/\D/g, '');
+  if (str.startsWith('00')) digits = digits.slice(2);
+
+  if (international) {
+    if (digits.startsWith('33') && digits.length === 11) return frenchToE164(`0${digits.slice(2)}`);
+    const dom = DOM_COUNTRY_CODES.find(cc => digits.startsWith(cc) && digits.length === 12);
+    if (dom) return frenchToE164(`0${digits.slice(3)}`);
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  // Zéro initial perdu par Excel, ou indicatif 33 sans "+"
+  if (digits.length === 9 && /^[1-9]/.test(digits)) digits = `0${digits}`;
+  if (digits.length === 11 && digits.startsWith('33')) digits = `0${digits.slice(2)}`;
+  if (/^0[1-9]\d{8}$/.test(digits)) return frenchToE164(digits);
+  return null;
+};
+
+// E.164 français ou DOM -> numéro national à 10 chiffres (null pour l'étranger)
+const toNationalPhone = (e164) => {
+  if (!e164?.startsWith('+')) return null;
+  const digits = e164.slice(1);
+  if (digits.startsWith('33') && digits.length === 11) return `0${digits.slice(2)}`;
+  const dom = DOM_COUNTRY_CODES.find(cc => digits.startsWith(cc) && digits.length === 12);
+  return dom ? `0${digits.slice(3)}` : null;
+};
+
+const getPhoneType = (phone) => {
+  const e164 = normalizePhone(phone);
+  if (!e164) return null;
+  const national = toNationalPhone(e164);
+  if (!national) {
+    if (/^\+(324|417[5-9]|3526)/.test(e164)) return 'mobile';
+    return 'foreign';
+  }
+  if (DOM_PHONE_PREFIXES[national.slice(0, 4)]) return DOM_MOBILE_PREFIXES.includes(national.slice(0, 4)) ? 'mobile' : 'landline';
+  if (/^0[67]/.test(national)) return 'mobile';
+  if (national.startsWith('09')) return 'voip';
+  if (/^080[0-5]/.test(national)) return 'free';
+  if (national.startsWith('08')) return 'premium';
+  return 'landline';
+};
+
+const normalizePostalCode = (cp) => {
+  if (!cp) return null;
+  // Convertir en string et nettoyer
+  let code = String(cp).trim();
+  // Si c'est un nombre à virgule (Excel), prendre la partie entière
+  if (code.includes('.')) code = code.split('.')[0];
+  // Enlever tout ce qui n'est pas un chiffre
+  code = code.replace(/\D/g, '');
+  // Si vide ou trop court, retourner null
+  if (!code || code.length < 4) return null;
+  // Ajouter le 0 devant si nécessaire (codes 01000-09999)
+  if (code.length === 4) code = '0' + code;
+  // Prendre seulement les 5 premiers chiffres
+  return code.slice(0, 5);
+};
+
+// SIREN / SIRET : clé de Luhn ; pour les établissements de La Poste, la somme des chiffres multiple de 5 est aussi admise
+// (le siège, 35600000000048, respecte Luhn mais pas la règle de la somme)
+const LA_POSTE_SIREN = '356000000';
+
+const normalizeSiret = (siret) => {
+  if (!siret) return null;
+  const digits = String(siret).replace(/\D/g, '');
+  return digits || null;
+};
+const normalizeSiren = normalizeSiret;
+
+const isValidSiren = (siren) => /^\d{9}$/.test(siren || '') && isLuhnValid(siren);
+
+const isValidSiret = (siret) => {
+  if (!/^\d{14}$/.test(siret || '')) return false;
+  if (isLuhnValid(siret)) return true;
+  return siret.startsWith(LA_POSTE_SIREN) && [...siret].reduce((sum, d) => sum + Number(d), 0) % 5 === 0;
+};
+
+const deriveSiren = (siret) => isValidSiret(siret) ? siret.slice(0, 9) : null;
+
+const ID_ISSUE_LABELS = {
+  siret_invalid: 'SIRET invalide',
+  siren_invalid: 'SIREN invalide',
+  siret_siren_mismatch: 'SIRET ne commence pas par le SIREN'
+};
+
+// Incohérences d'identifiants d'une fiche (tableau de codes, vide si tout est cohérent)
+const checkIdentifiers = ({ siret, siren }) => {
+  const issues = [];
+  if (siret && !isValidSiret(siret)) issues.push('siret_invalid');
+  if (siren && !isValidSiren(siren)) issues.push('siren_invalid');
+  if (siret && siren && !siret.startsWith(siren)) issues.push('siret_siren_mismatch');
+  return issues;
+};
+
+// Code département : 2 chiffres, 2A/2B pour la Corse, 3 chiffres pour l'outre-mer
+const normalizeDepartment = (dept) => {
+  if (dept === null || dept === undefined || dept === '') return null;
+  const match = String(dept).trim().toUpperCase().match(/^(2[AB]|97[1-6]|\d{1,3})\b/);
+  if (!match) return null;
+  const code = match[1];
+  if (/^2[AB]$/.test(code) || code.length === 3) return /^(2[AB]|97[1-6])$/.test(code) ? code : null;
+  const n = Number(code);
+  return n >= 1 && n <= 95 && n !== 20 ? code.padStart(2, '0') : null;
+};
+
+const departmentFromPostalCode = (cp) => {
+  if (!cp) return null;
+  if (cp.startsWith('20')) return Number(cp) < 20200 ? '2A' : '2B';
+  if (cp.startsWith('97')) return cp.slice(0, 3);
+  return cp.slice(0, 2);
+};
+
+// Date/heure exportée (jj/mm/aaaa hh:mm:ss), série Excel ou ISO -> ISO
+const parseDateTime = (value) => {
+  if (value === null || value === undefined || value === '' || value === '-') return null;
+  if (typeof value === 'number') return isExcelDate(value) ? new Date(Math.round((value - 25569) * 86400000)).toISOString() : null;
+  const str = String(value).trim();
+  const fr = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (fr) {
+    const [, d, m, y, hh = 0, mm = 0, ss = 0] = fr;
+    return new Date(y, m - 1, d, hh, mm, ss).toISOString();
+  }
+  const date = new Date(str);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+// Nombre saisi à la française ("47,2184", "1 500,50") ou à l'anglaise
+const parseDecimal = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  let str = String(value).replace(/[\s\u00a0€]/g, '');
+  // Les deux séparateurs présents : le dernier est le séparateur décimal (1.500,50 ou 1,500.50)
+  if (str.includes(',') && str.includes('.')) {
+    str = str.lastIndexOf(',') > str.lastIndexOf('.') ? str.replace(/\./g, '').replace(',', '.') : str.replace(/,/g, '');
+  } else str = str.replace(',', '.');
+  const num = parseFloat(str);
+  return isNaN(num) ? null : num;
+};
+
+// Affichage : format national pour la France et les DOM, "+32 2 123 45 67" pour l'étranger
+const formatPhone = (phone) => {
+  const e164 = normalizePhone(phone);
+  if (!e164) return phone;
+  const national = toNationalPhone(e164);
+  if (national) return national.replace(/(\d{2})(?=\d)/g, '$1 ');
+  const digits = e164.slice(1);
+  const cc = FOREIGN_COUNTRY_CODES.find(c => digits.startsWith(c)) || digits.slice(0, 2);
+  const rest = digits.slice(cc.length);
+  const head = rest.length % 2 ? 3 : 2;
+  return `+${cc} ${rest.slice(0, head)} ${rest.slice(head).replace(/(\d{2})(?=\d)/g, '$1 ')}`.trim();
+};
+const formatDuration = (s) => !s ? '-' : s < 3600 ? `${Math.round(s / 60)} min` : `${Math.floor(s / 3600)}h${(Math.round(s / 60) % 60).toString().padStart(2, '0')}`;
+const formatDistance = (m) => !m ? '-' : m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+const formatDate = (d) => d ? new Date(d).toLocaleDateString('fr-FR') : '-';
+const formatDateTime = (d) => d ? new Date(d).toLocaleString('fr-FR') : '-';
+
+const generateUniqueId = (prefix, counter) => `${prefix}_${counter.toString().padStart(5, '0')}`;
+
+// ============================================
+// FUZZY DUPLICATE MATCHING
+// ============================================
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+// Au-delà, un mot du nom est trop courant dans le code postal pour servir de clé de rapprochement
+const FUZZY_MAX_TOKEN_BLOCK = 200;
+
+const NAME_IGNORED_WORDS = [
+  'sarl', 'sas', 'sasu', 'eurl', 'sa', 'sci', 'snc', 'scop', 'scp', 'scm', 'selarl', 'selas', 'eirl', 'ei', 'earl', 'gaec',
+  'ets', 'etablissement', 'etablissements', 'societe', 'ste', 'cie', 'compagnie', 'et', 'le', 'la', 'les', 'l', 'de', 'du', 'des', 'd'
+];
+const STREET_ABBREVIATIONS = {
+  r: 'rue', av: 'avenue', ave: 'avenue', bd: 'boulevard', bld: 'boulevard', blvd: 'boulevard', pl: 'place',
+  ch: 'chemin', chem: 'chemin', rte: 'route', rt: 'route', all: 'allee', imp: 'impasse', sq: 'square', fg: 'faubourg',
+  fbg: 'faubourg', qu: 'quai', crs: 'cours', st: 'saint', ste: 'sainte', res: 'residence', lot: 'lotissement', hab: 'hameau'
+};
+const STREET_IGNORED_WORDS = ['de', 'la', 'le', 'les', 'du', 'des', 'l', 'd'];
+
+const normalizeCompanyName = (name) => normalizeLabel(name).replace(/[^a-z0-9 ]/g, ' ').split(' ')
+  .filter(w => w && !NAME_IGNORED_WORDS.includes(w)).join(' ');
+
+const normalizeStreet = (address) => normalizeLabel(address).replace(/[^a-z0-9 ]/g, ' ').split(' ')
+  .filter(Boolean).map(w => STREET_ABBREVIATIONS[w] || w).filter(w => !STREET_IGNORED_WORDS.includes(w)).join(' ');
+
+const bigrams = (str) => {
+  const compact = str.replace(/ /g, '');
+  const set = new Set();
+  for (let i = 0; i < compact.length - 1; i++) set.add(compact.slice(i, i + 2));
+  return set;
+};
+
+// Coefficient de Dice sur les bigrammes (0 à 1)
+const diceSimilarity = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let common = 0;
+  a.forEach(g => { if (b.has(g)) common++; });
+  return (2 * common) / (a.size + b.size);
+};
+
+const prepareForMatching = (record) => {
+  const name = normalizeCompanyName(record.name);
+  const street = normalizeStreet(record.address);
+  return { record, name, nameGrams: bigrams(name), streetGrams: bigrams(street), tokens: name.split(' ').filter(w => w.length >= 3) };
+};
+
+// Similarité nom + adresse + code postal ; sans adresse d'un côté, le nom porte le score
+const matchScore = (a, b) => {
+  if (!a.name || !b.name) return 0;
+  const name = a.name === b.name ? 1 : diceSimilarity(a.nameGrams, b.nameGrams);
+  const postal = a.record.postalCode && a.record.postalCode === b.record.postalCode ? 1 : 0;
+  if (!a.streetGrams.size || !b.streetGrams.size) return (0.6 * name + 0.1 * postal) / 0.7;
+  return 0.6 * name + 0.3 * diceSimilarity(a.streetGrams, b.streetGrams) + 0.1 * postal;
+};
+
+// Paires candidates : même code postal et au moins un mot du nom en commun
+const forEachCandidatePair = (prepared, callback) => {
+  const byPostal = new Map();
+  prepared.forEach(p => {
+    if (!p.record.postalCode || !p.name) return;
+    if (!byPostal.has(p.record.postalCode)) byPostal.set(p.record.postalCode, []);
+    byPostal.get(p.record.postalCode).push(p);
+  });
+  byPostal.forEach(block => {
+    const byToken = new Map();
+    block.forEach((p, i) => p.tokens.forEach(t => {
+      if (!byToken.has(t)) byToken.set(t, []);
+      byToken.get(t).push(i);
+    }));
+    const seen = new Set();
+    byToken.forEach(indexes => {
+      if (indexes.length < 2 || indexes.length > FUZZY_MAX_TOKEN_BLOCK) return;
+      for (let x = 0; x < indexes.length; x++) {
+        for (let y = x + 1; y < indexes.length; y++) {
+          const key = `${indexes[x]}|${indexes[y]}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          callback(block[indexes[x]], block[indexes[y]]);
+        }
+      }
+    });
+  });
+};
+
+// Regrouper les fiches en grappes de doublons (téléphone, SIRET identiques ou nom/adresse similaires)
+const findDuplicateClusters = (records, threshold) => {
+  const parent = new Map(records.map(r => [r.uniqueId, r.uniqueId]));
+  const find = (id) => {
+    while (parent.get(id) !== id) { parent.set(id, parent.get(parent.get(id))); id = parent.get(id); }
+    return id;
+  };
+  const links = [];
+  const union = (a, b, reason, score = null) => {
+    links.push({ a, b, reason, score });
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent.set(rb, ra);
+  };
+
+  const byKey = new Map();
+  records.forEach(r => {
+    const keys = [...new Set([r.phone, r.mobile, r.phone2].filter(Boolean))].map(p => ['Téléphone', `tel:${p}`]);
+    if (r.siret) keys.push(['SIRET', `siret:${r.siret}`]);
+    keys.forEach(([reason, key]) => {
+      if (byKey.has(key)) union(byKey.get(key), r.uniqueId, reason);
+      else byKey.set(key, r.uniqueId);
+    });
+  });
+
+  forEachCandidatePair(records.map(prepareForMatching), (a, b) => {
+    const score = matchScore(a, b);
+    if (score >= threshold) union(a.record.uniqueId, b.record.uniqueId, 'Similarité', score);
+  });
+
+  const clusters = new Map();
+  records.forEach(r => {
+    const root = find(r.uniqueId);
+    if (!clusters.has(root)) clusters.set(root, { id: root, ids: [], reasons: new Set(), score: null });
+    clusters.get(root).ids.push(r.uniqueId);
+  });
+  links.forEach(({ a, reason, score }) => {
+    const cluster = clusters.get(find(a));
+    cluster.reasons.add(reason);
+    if (score !== null) cluster.score = Math.max(cluster.score || 0, score);
+  });
+
+  return [...clusters.values()].filter(c => c.ids.length > 1).map(c => ({ ...c, reasons: [...c.reasons] }));
+};
+
+// Index de recherche de doublons sur un ensemble de fiches (ID et alias, SIRET, téléphones, nom + adresse)
+const createDuplicateIndex = (records) => {
+  const phoneOwner = new Map();
+  const siretOwner = new Map();
+  const idOwner = buildAliasIndex(records);
+  const preparedByPostal = new Map();
+
+  const add = (r) => {
+    [r.phone, r.mobile, r.phone2].filter(Boolean).forEach(p => { if (!phoneOwner.has(p)) phoneOwner.set(p, r.uniqueId); });
+    if (r.siret && !siretOwner.has(r.siret)) siretOwner.set(r.siret, r.uniqueId);
+    if (r.uniqueId) idOwner.set(r.uniqueId, r.uniqueId);
+    if (r.postalCode && r.name) {
+      if (!preparedByPostal.has(r.postalCode)) preparedByPostal.set(r.postalCode, []);
+      preparedByPostal.get(r.postalCode).push(prepareForMatching(r));
+    }
+  };
+
+  // { duplicateReason, duplicateOf, duplicateScore? } ou null
+  const match = (record, threshold) => {
+    if (idOwner.has(record.uniqueId)) return { duplicateReason: 'ID', duplicateOf: idOwner.get(record.uniqueId) };
+    const siretMatch = record.siret && siretOwner.get(record.siret);
+    if (siretMatch) return { duplicateReason: 'SIRET', duplicateOf: siretMatch };
+    const phoneMatch = [record.phone, record.mobile].filter(Boolean).map(p => phoneOwner.get(p)).find(Boolean);
+    if (phoneMatch) return { duplicateReason: 'Téléphone', duplicateOf: phoneMatch };
+    if (!record.postalCode || !record.name) return null;
+    const prepared = prepareForMatching(record);
+    let best = null;
+    (preparedByPostal.get(record.postalCode) || []).forEach(p => {
+      const score = matchScore(prepared, p);
+      if (score >= threshold && (!best || score > best.score)) best = { score, id: p.record.uniqueId };
+    });
+    return best ? { duplicateReason: 'Similarité', duplicateOf: best.id, duplicateScore: best.score } : null;
+  };
+
+  records.forEach(add);
+  return { add, match };
+};
+
+const formatDuplicateReason = (reason, score) => reason === 'Similarité' && score ? `Similarité ${Math.round(score * 100)}%` : reason;
+
+// Résolution d'un doublon à l'import
+const CONFLICT_ACTIONS = [
+  { value: 'skip', label: 'Ignorer' },
+  { value: 'overwrite', label: 'Écraser' },
+  { value: 'merge', label: 'Fusionner' },
+  { value: 'new', label: 'Nouvelle fiche' }
+];
+
+const stripDuplicateInfo = ({ duplicateReason, duplicateOf, duplicateScore, trashMatchReason, ...record }) => record;
+
+// ============================================
+// TAGS
+// ============================================
+// Liste de tags sans doublon (comparaison sans casse), la première graphie est conservée
+const uniqueTags = (tags) => {
+  const seen = new Set();
+  return tags.map(t => String(t).trim()).filter(t => {
+    const k = t.toLowerCase();
+    if (!t || seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+};
+
+const parseTags = (text) => uniqueTags(String(text ?? '').split(/[,;|]/));
+
+const addTags = (tags, added) => uniqueTags([...(tags || []), ...added]);
+
+const removeTags = (tags, removed) => {
+  const drop = new Set(removed.map(t => t.toLowerCase()));
+  return (tags || []).filter(t => !drop.has(t.toLowerCase()));
+};
+
+// Définitions { name, color } enregistrées en config ; un tag sans définition s'affiche en gris
+const TAG_COLORS = [
+  { value: 'blue', label: 'Bleu', className: 'bg-blue-100 text-blue-800' },
+  { value: 'green', label: 'Vert', className: 'bg-green-100 text-green-800' },
+  { value: 'amber', label: 'Ambre', className: 'bg-amber-100 text-amber-800' },
+  { value: 'red', label: 'Rouge', className: 'bg-red-100 text-red-800' },
+  { value: 'purple', label: 'Violet', className: 'bg-purple-100 text-purple-800' },
+  { value: 'pink', label: 'Rose', className: 'bg-pink-100 text-pink-800' },
+  { value: 'teal', label: 'Turquoise', className: 'bg-teal-100 text-teal-800' },
+  { value: 'gray', label: 'Gris', className: 'bg-gray-100 text-gray-700' }
+];
+
+const TAG_FILTER_MODES = [
+  { value: 'any', label: 'Au moins un' },
+  { value: 'all', label: 'Tous' },
+  { value: 'none', label: 'Aucun' }
+];
+
+const colorClassName = (color) => (TAG_COLORS.find(c => c.value === color) || TAG_COLORS[TAG_COLORS.length - 1]).className;
+
+const findTagDefinition = (definitions, name) => definitions.find(d => d.name.toLowerCase() === String(name).toLowerCase());
+
+const tagClassName = (definitions, name) => colorClassName(findTagDefinition(definitions, name)?.color);
+
+// Nouveaux tags : définition ajoutée avec la couleur suivante de la palette
+const withTagDefinitions = (definitions, names) => {
+  const missing = uniqueTags(names).filter(name => !findTagDefinition(definitions, name));
+  if (!missing.length) return definitions;
+  return [...definitions, ...missing.map((name, i) => ({ name, color: TAG_COLORS[(definitions.length + i) % (TAG_COLORS.length - 1)].value }))];
+};
+
+const matchTagFilter = (tags, selected, mode) => {
+  const own = new Set((tags || []).map(t => t.toLowerCase()));
+  const hits = selected.filter(t => own.has(t.toLowerCase())).length;
+  if (mode === 'all') return hits === selected.length;
+  if (mode === 'none') return hits === 0;
+  return hits > 0;
+};
+
+// ============================================
+// PROSPECTING PIPELINE
+// ============================================
+// Statuts modifiables (libellé, couleur, ordre) enregistrés en config ; la fiche ne garde que la clé
+const DEFAULT_PIPELINE_STATUSES = [
+  { key: 'toCall', label: 'À appeler', color: 'blue' },
+  { key: 'unreachable', label: 'Injoignable', color: 'gray' },
+  { key: 'callback', label: 'Rappel', color: 'amber' },
+  { key: 'meeting', label: 'RDV pris', color: 'green' },
+  { key: 'notInterested', label: 'Pas intéressé', color: 'red' },
+  { key: 'client', label: 'Client', color: 'purple' }
+];
+const NO_STATUS = '__none';
+
+const CALL_OUTCOMES = [
+  { value: 'answered', label: 'Décroché' },
+  { value: 'noAnswer', label: 'Pas de réponse' },
+  { value: 'voicemail', label: 'Messagerie' },
+  { value: 'busy', label: 'Occupé' },
+  { value: 'wrongNumber', label: 'Faux numéro' }
+];
+
+const createStatusKey = (label, existing) => {
+  const base = `st_${normalizeLabel(label).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'statut'}`;
+  let key = base;
+  let n = 2;
+  while (existing.some(st => st.key === key)) key = `${base}_${n++}`;
+  return key;
+};
+
+const findPipelineStatus = (statuses, key) => statuses.find(st => st.key === key) || null;
+
+const pipelineStatusLabel = (statuses, key) => findPipelineStatus(statuses, key)?.label || key || '';
+
+// Statut lu dans un fichier : libellé ou clé, sans tenir compte de la casse ni des accents
+const resolvePipelineStatus = (statuses, value) => {
+  if (!isFilledValue(value)) return null;
+  const wanted = normalizeLabel(value);
+  return statuses.find(st => normalizeLabel(st.label) === wanted || normalizeLabel(st.key) === wanted)?.key || null;
+};
+
+const callOutcomeLabel = (value) => CALL_OUTCOMES.find(o => o.value === value)?.label || value || '';
+
+const lastCall = (record) => (record.calls?.length ? record.calls[record.calls.length - 1] : null);
+
+// Appel journalisé (ordre chronologique) ; le statut choisi devient celui de la fiche
+const logCall = (record, { date, outcome, status, comment }) => ({
+  ...record,
+  pipelineStatus: status || record.pipelineStatus || null,
+  calls: [...(record.calls || []), { id: createProfileId(), date, outcome, status: status || null, comment: comment?.trim() || null }]
+    .sort((a, b) => a.date.localeCompare(b.date))
+});
+
+// ============================================
+// DUPLICATE MERGE (SURVIVORSHIP)
+// ============================================
+// Champs choisis fiche par fiche lors d'une fusion ; les blocs (adresse, API) restent cohérents entre eux
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Nom', keys: ['name', 'legalForm'] },
+  { key: 'address', label: 'Adresse', keys: ['address', 'postalCode', 'city', 'department', 'region', 'lat', 'lon', 'geoStatus', 'distanceMeters', 'durationSeconds', 'routeStatus'] },
+  { key: 'phone', label: 'Téléphone', keys: ['phone'] },
+  { key: 'mobile', label: 'Mobile', keys: ['mobile'] },
+  { key: 'phone2', label: 'Téléphone 3', keys: ['phone2'] },
+  { key: 'email', label: 'Email', keys: ['email'] },
+  { key: 'website', label: 'Site web', keys: ['website'] },
+  { key: 'category', label: 'Catégorie', keys: ['category'] },
+  { key: 'siret', label: 'SIRET / SIREN', keys: ['siret', 'siren'] },
+  { key: 'naf', label: 'Code NAF', keys: ['naf'] },
+  { key: 'capital', label: 'Capital', keys: ['capital'] },
+  { key: 'description', label: 'Description', keys: ['description'] },
+  { key: 'services', label: 'Services', keys: ['services'] },
+  { key: 'api', label: 'Données API', keys: ['apiEnriched', 'apiStatus', 'apiSirenFound', 'apiEffectifCode', 'apiEffectifLabel', 'apiNaf', 'apiDateCreation', 'apiDirigeants'] }
+];
+
+const SURVIVORSHIP_RULES = [
+  { value: 'recent', label: 'La plus récente' },
+  { value: 'complete', label: 'La plus complète' },
+  { value: 'api', label: 'Enrichie par API' },
+  { value: 'oldest', label: 'La plus ancienne' }
+];
+const DEFAULT_SURVIVORSHIP_RULE = 'complete';
+
+const isFilledValue = (v) => v !== null && v !== undefined && String(v).trim() !== '';
+
+const countFilledFields = (record) => MERGE_FIELDS.filter(f => isFilledValue(record[f.keys[0]])).length
+  + Object.values(record.custom || {}).filter(isFilledValue).length;
+
+// Fiches triées de la meilleure à la moins bonne selon la règle
+const rankBySurvivorship = (records, rule) => {
+  const time = (v) => (v ? new Date(v).getTime() : 0);
+  const byRule = {
+    recent: (a, b) => time(b.updatedAt) - time(a.updatedAt),
+    oldest: (a, b) => time(a.createdAt) - time(b.createdAt),
+    complete: (a, b) => countFilledFields(b) - countFilledFields(a) || time(b.updatedAt) - time(a.updatedAt),
+    api: (a, b) => (b.apiStatus === 'success') - (a.apiStatus === 'success') || time(b.updatedAt) - time(a.updatedAt)
+  };
+  return [...records].sort(byRule[rule] || byRule[DEFAULT_SURVIVORSHIP_RULE]);
+};
+
+// Choix par défaut : pour chaque champ, la meilleure fiche qui le renseigne ; l'ID conservé est le plus ancien
+const defaultMergeChoices = (records, rule) => {
+  const ranked = rankBySurvivorship(records, rule);
+  const choices = { master: rankBySurvivorship(records, 'oldest')[0].uniqueId };
+  MERGE_FIELDS.forEach(f => {
+    const source = ranked.find(r => isFilledValue(r[f.keys[0]])) || ranked[0];
+    choices[f.key] = source.uniqueId;
+  });
+  return choices;
+};
+
+// Fiche fusionnée : exports cumulés, dernier export le plus récent, IDs absorbés gardés en alias, tags et appels réunis
+const mergeRecords = (records, choices) => {
+  const byId = new Map(records.map(r => [r.uniqueId, r]));
+  const master = byId.get(choices.master);
+  const absorbed = records.filter(r => r !== master);
+  const merged = { ...master };
+
+  MERGE_FIELDS.forEach(f => {
+    const source = byId.get(choices[f.key]) || master;
+    f.keys.forEach(k => { merged[k] = source[k] ?? null; });
+  });
+
+  // Champs personnalisés : valeur de la fiche conservée, complétée par les autres
+  merged.custom = {};
+  [master, ...absorbed].forEach(r => Object.entries(r.custom || {}).forEach(([k, v]) => {
+    if (!isFilledValue(merged.custom[k]) && isFilledValue(v)) merged.custom[k] = v;
+  }));
+
+  const exportDates = records.map(r => r.lastExportedAt).filter(Boolean).sort();
+  merged.exportCount = records.reduce((sum, r) => sum + (r.exportCount || 0), 0);
+  merged.lastExportedAt = exportDates.length ? exportDates[exportDates.length - 1] : null;
+  merged.createdAt = records.map(r => r.createdAt).filter(Boolean).sort()[0] || master.createdAt;
+  merged.aliases = [...new Set(records.flatMap(r => [r.uniqueId, ...(r.aliases || [])]))].filter(id => id !== master.uniqueId);
+  merged.tags = uniqueTags([master, ...absorbed].flatMap(r => r.tags || []));
+  merged.pipelineStatus = master.pipelineStatus || absorbed.find(r => r.pipelineStatus)?.pipelineStatus || null;
+  merged.calls = [...new Map(records.flatMap(r => r.calls || []).map(c => [c.id, c])).values()].sort((a, b) => a.date.localeCompare(b.date));
+  merged.siren = merged.siren || deriveSiren(merged.siret);
+  merged.idIssues = checkIdentifiers(merged);
+  merged.updatedAt = new Date().toISOString();
+  return merged;
+};
+
+// Valeur affichée pour un champ dans l'écran de fusion
+const formatMergeValue = (record, field) => {
+  switch (field.key) {
+    case 'address': return [record.address, [record.postalCode, record.city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    case 'phone': case 'mobile': case 'phone2': return formatPhone(record[field.key]);
+    case 'siret': return [record.siret, record.siren].filter(Boolean).join(' / ');
+    case 'name': return [record.name, record.legalForm].filter(Boolean).join(' — ');
+    case 'api': return record.apiStatus === 'success' ? record.apiEffectifLabel || 'Enrichie' : record.apiStatus || '';
+    default: return record[field.key] ?? '';
+  }
+};
+
+// Fusion d'une ligne importée dans une fiche existante (qui garde son ID) ; le fichier étant un instantané,
+// le nombre d'exports n'est pas cumulé. L'ID de la ligne n'est gardé en alias que s'il vient du fichier.
+const IMPORT_CANDIDATE_ID = '__import__';
+const mergeImportedRecord = (target, incoming, rule, keepIncomingId) => {
+  const candidate = { ...incoming, uniqueId: IMPORT_CANDIDATE_ID };
+  const merged = mergeRecords([target, candidate], { ...defaultMergeChoices([target, candidate], rule), master: target.uniqueId });
+  merged.exportCount = Math.max(target.exportCount || 0, incoming.exportCount || 0);
+  merged.aliases = merged.aliases.filter(id => id !== IMPORT_CANDIDATE_ID);
+  if (keepIncomingId && incoming.uniqueId !== target.uniqueId && !merged.aliases.includes(incoming.uniqueId)) merged.aliases.push(incoming.uniqueId);
+  return merged;
+};
+
+// Alias -> ID de la fiche qui l'a absorbé
+const buildAliasIndex = (records) => new Map(records.flatMap(r => (r.aliases || []).map(alias => [alias, r.uniqueId])));
+
+// ============================================
+// UPDATE IMPORT (FIELD POLICIES & DIFF)
+// ============================================
+const UPDATE_POLICIES = [
+  { value: 'overwrite', label: 'Écraser' },
+  { value: 'fillEmpty', label: 'Compléter les vides' },
+  { value: 'keep', label: 'Conserver' }
+];
+
+// Champs mis à jour par un ré-import ; les clés liées suivent la première (coordonnées, trajet, effectif)
+const UPDATE_FIELDS = [
+  { key: 'name', label: 'Nom', policy: 'overwrite' },
+  { key: 'legalForm', label: 'Forme juridique', policy: 'overwrite' },
+  { key: 'address', label: 'Adresse', policy: 'overwrite' },
+  { key: 'postalCode', label: 'Code postal', policy: 'overwrite' },
+  { key: 'city', label: 'Ville', policy: 'overwrite' },
+  { key: 'department', label: 'Département', policy: 'overwrite' },
+  { key: 'region', label: 'Région', policy: 'overwrite' },
+  { key: 'phone', label: 'Téléphone', policy: 'overwrite' },
+  { key: 'mobile', label: 'Mobile', policy: 'overwrite' },
+  { key: 'phone2', label: 'Téléphone 3', policy: 'overwrite' },
+  { key: 'email', label: 'Email', policy: 'overwrite' },
+  { key: 'website', label: 'Site web', policy: 'overwrite' },
+  { key: 'category', label: 'Catégorie', policy: 'overwrite' },
+  { key: 'tags', label: 'Tags', policy: 'overwrite' },
+  { key: 'pipelineStatus', label: 'Statut prospection', policy: 'overwrite' },
+  { key: 'siret', label: 'SIRET', policy: 'overwrite' },
+  { key: 'siren', label: 'SIREN', policy: 'overwrite' },
+  { key: 'naf', label: 'Code NAF', policy: 'overwrite' },
+  { key: 'capital', label: 'Capital', policy: 'overwrite' },
+  { key: 'description', label: 'Description', policy: 'overwrite' },
+  { key: 'services', label: 'Services', policy: 'overwrite' },
+  { key: 'apiEffectifCode', label: 'Effectif', keys: ['apiEffectifCode', 'apiEffectifLabel'], policy: 'fillEmpty' },
+  { key: 'apiNaf', label: 'NAF (API)', policy: 'fillEmpty' },
+  { key: 'apiDateCreation', label: 'Date création', policy: 'fillEmpty' },
+  { key: 'apiDirigeants', label: 'Dirigeants', policy: 'fillEmpty' },
+  { key: 'lat', label: 'Coordonnées', keys: ['lat', 'lon', 'geoStatus'], policy: 'fillEmpty' },
+  { key: 'distanceMeters', label: 'Trajet', keys: ['distanceMeters', 'durationSeconds', 'routeStatus'], policy: 'fillEmpty' },
+  { key: 'lastExportedAt', label: "Suivi d'export", keys: ['lastExportedAt', 'exportCount'], policy: 'keep' },
+  { key: 'sourceFile', label: 'Fichier source', policy: 'keep' },
+  { key: 'custom', label: 'Champs personnalisés', policy: 'overwrite' }
+];
+
+const DEFAULT_UPDATE_POLICIES = Object.fromEntries(UPDATE_FIELDS.map(f => [f.key, f.policy]));
+
+// « Écraser » d'une résolution de conflit : tout sauf le suivi d'export et la source
+const OVERWRITE_POLICIES = { ...Object.fromEntries(UPDATE_FIELDS.map(f => [f.key, 'overwrite'])), lastExportedAt: 'keep', sourceFile: 'keep' };
+
+const sameValue = (a, b) => (isFilledValue(a) ? String(a) : '') === (isFilledValue(b) ? String(b) : '');
+
+// Valeur retenue selon la politique ; une cellule vide du fichier n'efface jamais une valeur existante
+const resolveUpdateValue = (policy, current, incoming) => {
+  if (policy === 'keep' || !isFilledValue(incoming)) return current;
+  if (policy === 'fillEmpty' && isFilledValue(current)) return current;
+  return incoming;
+};
+
+// Plan de mise à jour d'une fiche : fiche résultante et liste des changements { key, label, before, after }
+const planUpdate = (existing, incoming, policies) => {
+  const record = { ...existing };
+  const changes = [];
+
+  UPDATE_FIELDS.filter(f => f.key !== 'custom').forEach(f => {
+    const policy = policies[f.key] || f.policy;
+    const next = resolveUpdateValue(policy, existing[f.key], incoming[f.key]);
+    if (sameValue(next, existing[f.key])) return;
+    (f.keys || [f.key]).forEach(k => { record[k] = incoming[k] ?? null; });
+    changes.push({ key: f.key, label: f.label, before: existing[f.key], after: next });
+  });
+
+  const customPolicy = policies.custom || DEFAULT_UPDATE_POLICIES.custom;
+  record.custom = { ...existing.custom };
+  Object.entries(incoming.custom || {}).forEach(([k, v]) => {
+    const next = resolveUpdateValue(customPolicy, existing.custom?.[k], v);
+    if (sameValue(next, existing.custom?.[k])) return;
+    record.custom[k] = next;
+    changes.push({ key: `custom.${k}`, customKey: k, before: existing.custom?.[k], after: next });
+  });
+
+  if (changes.length) {
+    if (changes.some(c => c.key.startsWith('api'))) record.apiEnriched = true;
+    if (!existing.apiStatus && incoming.apiStatus) record.apiStatus = incoming.apiStatus;
+    record.siren = record.siren || deriveSiren(record.siret);
+    record.idIssues = checkIdentifiers(record);
+    record.updatedAt = new Date().toISOString();
+  }
+  record.aliases = [...new Set([...(existing.aliases || []), ...(incoming.aliases || [])])].filter(id => id !== existing.uniqueId);
+  return { record, changes };
+};
+
+// ============================================
+// OPERATIONS JOURNAL (UNDO)
+// ============================================
+// Nombre d'opérations conservées dans le journal
+const JOURNAL_LIMIT = 30;
+
+// Image « avant » d'une opération : fiches modifiées ou supprimées, et IDs des fiches créées
+const diffForJournal = (before, after) => {
+  const afterById = new Map(after.map(r => [r.uniqueId, r]));
+  const beforeIds = new Set(before.map(r => r.uniqueId));
+  return {
+    before: before.filter(r => afterById.get(r.uniqueId) !== r),
+    createdIds: after.filter(r => !beforeIds.has(r.uniqueId)).map(r => r.uniqueId),
+    removedIds: before.filter(r => !afterById.has(r.uniqueId)).map(r => r.uniqueId)
+  };
+};
+
+// Fiche mise à la corbeille : elle garde toutes ses données, avec la date et le motif
+const toTrashItem = (record, reason) => ({ ...record, deletedAt: new Date().toISOString(), deleteReason: reason || '' });
+const fromTrashItem = ({ deletedAt, deleteReason, ...record }) => record;
+
+// Remettre les fiches dans l'état d'avant l'opération (les fiches créées par l'opération disparaissent)
+const rollbackJournalEntry = (records, entry) => {
+  const created = new Set(entry.createdIds);
+  const restored = new Map(entry.before.map(r => [r.uniqueId, r]));
+  const result = records.filter(r => !created.has(r.uniqueId)).map(r => restored.get(r.uniqueId) || r);
+  const present = new Set(result.map(r => r.uniqueId));
+  return [...result, ...entry.before.filter(r => !present.has(r.uniqueId))];
+};
+
+// Retirer d'une entrée les fiches supprimées définitivement, pour qu'une annulation ne les fasse pas revenir ;
+// null si l'entrée n'a plus rien à annuler
+const purgeJournalEntry = (entry, purgedIds) => {
+  const before = entry.before.filter(r => !purgedIds.has(r.uniqueId));
+  const trashAdded = (entry.trashAdded || []).filter(id => !purgedIds.has(id));
+  const trashRemoved = (entry.trashRemoved || []).filter(t => !purgedIds.has(t.uniqueId));
+  if (before.length === entry.before.length && trashAdded.length === (entry.trashAdded || []).length && trashRemoved.length === (entry.trashRemoved || []).length) return entry;
+  if (!before.length && !entry.createdIds.length && !entry.exportsAdded.length && !entry.exportsRemoved.length && !trashAdded.length && !trashRemoved.length) return null;
+  return { ...entry, before, trashAdded, trashRemoved };
+};
+
+// ============================================
+// CONTACT HISTORY (AUDIT TRAIL)
+// ============================================
+const HISTORY_SOURCES = {
+  import: 'Import',
+  api: 'Enrichissement API',
+  geocode: 'Géocodage',
+  routes: 'Calcul de trajet',
+  merge: 'Fusion',
+  edit: 'Modification manuelle',
+  export: 'Export',
+  delete: 'Suppression',
+  undo: 'Annulation',
+  restore: 'Restauration',
+  create: 'Saisie manuelle',
+  bulk: 'Action groupée',
+  call: 'Appel'
+};
+
+// Champs dérivés ou purement techniques, non historisés (les appels ont leur propre journal sur la fiche)
+const HISTORY_IGNORED_FIELDS = ['updatedAt', 'idIssues', 'calls'];
+
+const HISTORY_FIELD_LABELS = {
+  ...Object.fromEntries(MAPPING_FIELDS.map(f => [f.key, f.label])),
+  ...Object.fromEntries(UPDATE_FIELDS.map(f => [f.key, f.label])),
+  apiEffectifLabel: 'Effectif (libellé)', apiStatus: 'Statut API', apiEnriched: 'Enrichie', apiSirenFound: 'SIREN trouvé (API)',
+  geoStatus: 'Statut géocodage', distanceMeters: 'Distance (m)', durationSeconds: 'Temps trajet (s)', routeStatus: 'Statut trajet'
+};
+
+const historyFieldLabel = (field, customFields) => field.startsWith('custom.')
+  ? customFields.find(f => f.key === field.slice(7))?.label || field.slice(7)
+  : HISTORY_FIELD_LABELS[field] || field;
+
+const historyValue = (v) => (Array.isArray(v) ? v.join(', ') || null : isFilledValue(v) ? v : null);
+
+// Champs modifiés entre deux versions d'une fiche : [{ field, before, after }]
+const diffRecordFields = (before, after) => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach(k => {
+    if (HISTORY_IGNORED_FIELDS.includes(k) || k === 'custom') return;
+    const a = historyValue(before[k]);
+    const b = historyValue(after[k]);
+    if (!sameValue(a, b)) changes.push({ field: k, before: a, after: b });
+  });
+  const customKeys = new Set([...Object.keys(before.custom || {}), ...Object.keys(after.custom || {})]);
+  customKeys.forEach(k => {
+    const a = historyValue(before.custom?.[k]);
+    const b = historyValue(after.custom?.[k]);
+    if (!sameValue(a, b)) changes.push({ field: `custom.${k}`, before: a, after: b });
+  });
+  return changes;
+};
+
+// Entrées d'historique d'une opération, une par fiche créée, modifiée ou supprimée
+const buildHistoryEntries = (beforeRecords, afterRecords, { source, detail }) => {
+  const date = new Date().toISOString();
+  const afterById = new Map(afterRecords.map(r => [r.uniqueId, r]));
+  const beforeIds = new Set(beforeRecords.map(r => r.uniqueId));
+  const entries = [];
+  beforeRecords.forEach(r => {
+    const next = afterById.get(r.uniqueId);
+    if (next === r) return;
+    if (!next) { entries.push({ uniqueId: r.uniqueId, date, source, detail, action: 'deleted', changes: [] }); return; }
+    const changes = diffRecordFields(r, next);
+    if (changes.length) entries.push({ uniqueId: r.uniqueId, date, source, detail, action: 'updated', changes });
+  });
+  afterRecords.forEach(r => {
+    if (!beforeIds.has(r.uniqueId)) entries.push({ uniqueId: r.uniqueId, date, source, detail, action: 'created', changes: [] });
+  });
+  return entries;
+};
+
+// ============================================
+// CONTACT EDITING
+// ============================================
+// Champs modifiables depuis la fiche détaillée, par bloc
+const EDITABLE_FIELDS = [
+  { key: 'name', label: 'Nom', group: 'Entreprise' },
+  { key: 'legalForm', label: 'Forme juridique', group: 'Entreprise' },
+  { key: 'category', label: 'Catégorie', group: 'Entreprise' },
+  { key: 'siret', label: 'SIRET', group: 'Entreprise' },
+  { key: 'siren', label: 'SIREN', group: 'Entreprise' },
+  { key: 'naf', label: 'Code NAF', group: 'Entreprise' },
+  { key: 'capital', label: 'Capital (€)', group: 'Entreprise' },
+  { key: 'description', label: 'Description', group: 'Entreprise', multiline: true },
+  { key: 'services', label: 'Services', group: 'Entreprise', multiline: true },
+  { key: 'address', label: 'Adresse', group: 'Coordonnées' },
+  { key: 'postalCode', label: 'Code postal', group: 'Coordonnées' },
+  { key: 'city', label: 'Ville', group: 'Coordonnées' },
+  { key: 'department', label: 'Département', group: 'Coordonnées' },
+  { key: 'region', label: 'Région', group: 'Coordonnées' },
+  { key: 'phone', label: 'Téléphone', group: 'Coordonnées' },
+  { key: 'mobile', label: 'Mobile', group: 'Coordonnées' },
+  { key: 'phone2', label: 'Téléphone 3', group: 'Coordonnées' },
+  { key: 'email', label: 'Email', group: 'Coordonnées' },
+  { key: 'website', label: 'Site web', group: 'Coordonnées' }
+];
+
+// Une modification de l'un de ces champs invalide les coordonnées GPS
+const ADDRESS_FIELDS = ['address', 'postalCode', 'city'];
+
+// Valeur affichée dans le champ de saisie
+const toEditValue = (record, key) => {
+  if (['phone', 'mobile', 'phone2'].includes(key)) return record[key] ? formatPhone(record[key]) : '';
+  return record[key] === null || record[key] === undefined ? '' : String(record[key]);
+};
+
+const toCustomEditValue = (value, type) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'boolean') return value ? 'oui' : 'non';
+  return String(value);
+};
+
+// Fiche vierge, avec les mêmes champs qu'une fiche importée
+const createBlankRecord = (uniqueId) => {
+  const now = new Date().toISOString();
+  return {
+    uniqueId, name: null, address: null, postalCode: null, city: null, department: null, region: null,
+    phone: null, mobile: null, phone2: null, email: null, website: null, category: null,
+    siret: null, siren: null, idIssues: [], naf: null, legalForm: null, capital: null, description: null, services: null,
+    sourceFile: 'Saisie manuelle', createdAt: now, updatedAt: now, lastExportedAt: null, exportCount: 0, aliases: [], tags: [], pipelineStatus: null, calls: [],
+    apiEnriched: false, apiStatus: null, apiEffectifCode: null, apiEffectifLabel: null, apiNaf: null, apiDateCreation: null, apiDirigeants: null,
+    lat: null, lon: null, geoStatus: null, distanceMeters: null, durationSeconds: null, routeStatus: null, custom: {}
+  };
+};
+
+// Champs du formulaire « Nouvelle fiche »
+const NEW_CONTACT_FIELDS = ['name', 'siret', 'legalForm', 'category', 'address', 'postalCode', 'city', 'phone', 'mobile', 'email', 'website', 'description'];
+
+const editsFromRecord = (record) => Object.fromEntries(EDITABLE_FIELDS.map(f => [f.key, toEditValue(record, f.key)]));
+const customEditsFromRecord = (record, customFields) =>
+  Object.fromEntries(customFields.map(f => [f.key, toCustomEditValue(record.custom?.[f.key], f.type)]));
+
+// Appliquer les saisies avec les mêmes normalisations qu'à l'import ; erreurs par champ
+const applyContactEdits = (record, edits, customEdits, customFields) => {
+  const errors = {};
+  const next = { ...record };
+
+  Object.entries(edits).forEach(([key, raw]) => {
+    const value = String(raw ?? '').trim();
+    switch (key) {
+      case 'phone': case 'mobile': case 'phone2':
+        next[key] = normalizePhone(value);
+        if (value && !next[key]) errors[key] = 'Numéro non reconnu';
+        break;
+      case 'postalCode':
+        next.postalCode = normalizePostalCode(value);
+        if (value && (!next.postalCode || Number(next.postalCode) < 1000 || Number(next.postalCode) > 98999)) errors.postalCode = 'Code postal invalide';
+        break;
+      case 'email':
+        next.email = value || null;
+        if (value && !EMAIL_PATTERN.test(value)) errors.email = 'Email mal formé';
+        break;
+      case 'siret':
+        next.siret = normalizeSiret(value);
+        if (value && next.siret?.length !== 14) errors.siret = 'Le SIRET compte 14 chiffres';
+        break;
+      case 'siren':
+        next.siren = normalizeSiren(value);
+        if (value && next.siren?.length !== 9) errors.siren = 'Le SIREN compte 9 chiffres';
+        break;
+      case 'department':
+        next.department = normalizeDepartment(value);
+        if (value && !next.department) errors.department = 'Code département invalide';
+        break;
+      case 'capital':
+        next.capital = parseDecimal(value);
+        if (value && next.capital === null) errors.capital = 'Montant invalide';
+        break;
+      default:
+        next[key] = value || null;
+    }
+  });
+
+  if (!next.name) errors.name = 'Le nom est obligatoire';
+  // Département recalculé quand le code postal change sans que le département soit saisi
+  if (!next.department || ('postalCode' in edits && !('department' in edits))) {
+    next.department = departmentFromPostalCode(next.postalCode) || next.department;
+  }
+  next.siren = next.siren || deriveSiren(next.siret);
+  next.idIssues = checkIdentifiers(next);
+
+  next.custom = { ...record.custom };
+  customFields.forEach(f => {
+    if (!(f.key in customEdits)) return;
+    const raw = customEdits[f.key];
+    const value = coerceCustomValue(raw, f.type);
+    if (String(raw ?? '').trim() && value === null) errors[`custom.${f.key}`] = 'Valeur invalide';
+    if (value === null) delete next.custom[f.key];
+    else next.custom[f.key] = value;
+  });
+
+  return { record: next, errors };
+};
+
+// ============================================
+// API FUNCTIONS
+// ============================================
+const geocodeAddress = async (address, postalCode, city) => {
+  const query = `${address || ''} ${postalCode || ''} ${city || ''}`.trim();
+  if (!query) return { lat: null, lon: null, status: 'no_data' };
+  try {
+    const response = await fetch(`https://api-adresse.data.gouv.fr/search/?q=${encodeURIComponent(query)}&limit=1`);
+    const data = await response.json();
+    if (data.features?.length > 0) {
+      const [lon, lat] = data.features[0].geometry.coordinates;
+      return { lat, lon, status: 'success' };
+    }
+    return { lat: null, lon: null, status: 'not_found' };
+  } catch { return { lat: null, lon: null, status: 'error' }; }
+};
+
+const calculateRoute = async (startLon, startLat, endLon, endLat) => {
+  try {
+    const response = await fetch(
+      `https://data.geopf.fr/navigation/itineraire?resource=bdtopo-osrm&profile=car&optimization=fastest&start=${startLon},${startLat}&end=${endLon},${endLat}`
+    );
+    const data = await response.json();
+    return { distance: data.distance, duration: data.duration, status: 'success' };
+  } catch { return { distance: null, duration: null, status: 'error' }; }
+};
+
+// Données d'enrichissement issues d'un résultat de l'API Recherche d'Entreprises
+const companyApiFields = (c) => ({
+  apiEnriched: true, apiStatus: 'success',
+  siren: c.siren,
+  apiEffectifCode: c.tranche_effectif_salarie,
+  apiEffectifLabel: EFFECTIF_LABELS[c.tranche_effectif_salarie],
+  apiNaf: c.activite_principale,
+  apiDateCreation: c.date_creation,
+  apiDirigeants: c.dirigeants?.map(d => `${d.prenoms} ${d.nom}`).join(', ')
+});
+
+// Autocomplétion par nom ou SIRET/SIREN : suggestions avec les champs à préremplir
+const searchCompanies = async (query) => {
+  try {
+    const response = await fetch(
+      `https://recherche-entreprises.api.gouv.fr/search?q=${encodeURIComponent(query)}&page=1&per_page=5`
+    );
+    const result = await response.json();
+    return (result.results || []).map(c => ({
+      name: c.nom_complet || c.nom_raison_sociale,
+      siret: c.siege?.siret,
+      address: [c.siege?.numero_voie, c.siege?.type_voie, c.siege?.libelle_voie].filter(Boolean).join(' ') || c.siege?.adresse,
+      postalCode: c.siege?.code_postal,
+      city: c.siege?.libelle_commune,
+      api: {
+        ...companyApiFields(c),
+        lat: c.siege?.latitude ? parseFloat(c.siege.latitude) : null,
+        lon: c.siege?.longitude ? parseFloat(c.siege.longitude) : null,
+        geoStatus: c.siege?.latitude ? 'success' : null
+      }
+    }));
+  } catch { return []; }
+};
+
+const enrichFromAPI = async (record) => {
+  const searchQuery = record.siret || `${record.name} ${record.city}`.trim();
+  if (!searchQuery) return { apiEnriched: true, apiStatus: 'no_data' };
+  try {
+    const response = await fetch(
+      `https://recherche-entreprises.api.gouv.fr/search?q=${encodeURIComponent(searchQuery)}&page=1&per_page=1`
+    );
+    const result = await response.json();
+    if (result.results?.length > 0) {
+      const c = result.results[0];
+      // Ne jamais remplacer les identifiants d'une fiche par ceux d'une autre entreprise
+      const knownSiren = deriveSiren(record.siret) || (isValidSiren(record.siren) ? record.siren : null);
+      if (knownSiren && c.siren !== knownSiren) {
+        return { apiEnriched: true, apiStatus: 'mismatch', apiSirenFound: c.siren };
+      }
+      return {
+        ...companyApiFields(c),
+        siret: isValidSiret(record.siret) ? record.siret : c.siege?.siret || record.siret,
+        lat: c.siege?.latitude ? parseFloat(c.siege.latitude) : record.lat,
+        lon: c.siege?.longitude ? parseFloat(c.siege.longitude) : record.lon,
+        geoStatus: c.siege?.latitude ? 'success' : record.geoStatus
+      };
+    }
+    return { apiEnriched: true, apiStatus: 'not_found' };
+  } catch { return { apiEnriched: true, apiStatus: 'error' }; }
+};
+
+// ============================================
+// RAW GRID PREVIEW
+// ============================================
+// Au moins toutes les lignes examinées par la détection d'en-tête, pour pouvoir en choisir une autre
+const GRID_PREVIEW_ROWS = HEADER_SCAN_ROWS + 5;
+const GRID_PREVIEW_COLS = 10;
+
+const RawGridPreview = ({ sheets, onLayoutChange }) => {
+  const [sheetName, setSheetName] = useState(sheets[0]?.name);
+  const sheet = sheets.find(s => s.name === sheetName) || sheets[0];
+  if (!sheet) return null;
+
+  const rowClass = (i) => {
+    if (i === sheet.headerRow) return 'bg-blue-100 font-medium';
+    if (i < sheet.headerRow) return 'text-gray-300';
+    if (i < sheet.dataStartRow) return 'text-gray-400 line-through';
+    return '';
+  };
+
+  return (
+    <div>
+      {sheets.length > 1 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {sheets.map(s => (
+            <button key={s.name} onClick={() => setSheetName(s.name)}
+              className={`px-2 py-1 rounded text-xs ${s.name === sheet.name ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}>
+              {s.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="overflow-auto max-h-64 border rounded-lg">
+        <table className="text-xs w-full">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left text-gray-500">Ligne</th>
+              <th className="px-2 py-1 text-gray-500" title="Ligne d'en-tête">En-tête</th>
+              <th className="px-2 py-1 text-gray-500" title="Première ligne de données">Début</th>
+              <th className="px-2 py-1" colSpan={GRID_PREVIEW_COLS}></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {sheet.grid.slice(0, GRID_PREVIEW_ROWS).map((row, i) => (
+              <tr key={i} className={rowClass(i)}>
+                <td className="px-2 py-1 font-mono text-gray-400">{i + 1}</td>
+                <td className="px-2 py-1 text-center">
+                  <input type="radio" name={`header-${sheet.name}`} checked={i === sheet.headerRow}
+                    onChange={() => onLayoutChange(sheet.name, { headerRow: i, dataStartRow: i + 1 })} />
+                </td>
+                <td className="px-2 py-1 text-center">
+                  <input type="radio" name={`start-${sheet.name}`} checked={i === sheet.dataStartRow} disabled={i <= sheet.headerRow}
+                    onChange={() => onLayoutChange(sheet.name, { headerRow: sheet.headerRow, dataStartRow: i })} />
+                </td>
+                {Array.from({ length: GRID_PREVIEW_COLS }, (_, c) => (
+                  <td key={c} className="px-2 py-1 truncate max-w-[120px]">{isBlankCell(row?.[c]) ? '' : String(row[c]).slice(0, 30)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-400 mt-1">
+        {sheet.rows.length} lignes de données retenues (lignes vides et totaux de fin de tableau ignorés)
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// TRANSFORM EDITOR
+// ============================================
+const TransformEditor = ({ fieldKey, headers, column, rule, onChange, sampleData }) => {
+  const current = rule || { mode: 'column' };
+  const ruleReplacements = formatReplacements(current.replacements);
+  const [replacementsText, setReplacementsText] = useState(ruleReplacements);
+
+  // Autre profil ou autre champ : reprendre le texte de la règle, sauf s'il correspond déjà à la saisie en cours
+  useEffect(() => {
+    setReplacementsText(text => (formatReplacements(parseReplacements(text)) === ruleReplacements ? text : ruleReplacements));
+  }, [ruleReplacements, fieldKey]);
+  const update = (changes) => onChange({ ...current, ...changes });
+
+  return (
+    <div className="ml-[13.5rem] mt-2 p-3 bg-indigo-50 rounded-lg border border-indigo-100 space-y-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={current.mode} onChange={(e) => update({ mode: e.target.value })} className="border rounded px-2 py-1 bg-white">
+          <option value="column">Colonne simple</option>
+          <option value="concat">Concaténer plusieurs colonnes</option>
+          <option value="split">Extraire (expression régulière)</option>
+        </select>
+        {(TRANSFORM_PRESETS[fieldKey] || []).map(p => (
+          <button key={p.label} onClick={() => update({ ...p.rule, column: current.column || column })}
+            className="px-2 py-1 bg-white border rounded hover:bg-indigo-100">{p.label}</button>
+        ))}
+      </div>
+
+      {current.mode === 'concat' && (
+        <div className="flex flex-wrap items-center gap-2">
+          {(current.columns || []).map((c, i) => (
+            <span key={i} className="px-2 py-1 bg-white border rounded flex items-center gap-1">
+              {c}
+              <button onClick={() => update({ columns: current.columns.filter((_, j) => j !== i) })}><X className="w-3 h-3" /></button>
+            </span>
+          ))}
+          <select value="" onChange={(e) => e.target.value && update({ columns: [...(current.columns || []), e.target.value] })} className="border rounded px-2 py-1 bg-white">
+            <option value="">+ colonne</option>
+            {headers.map(h => <option key={h} value={h}>{h}</option>)}
+          </select>
+          <label className="flex items-center gap-1">Séparateur
+            <input value={current.separator ?? ' '} onChange={(e) => update({ separator: e.target.value })} className="w-12 border rounded px-1 py-1" />
+          </label>
+        </div>
+      )}
+
+      {current.mode === 'split' && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={current.column || column || ''} onChange={(e) => update({ column: e.target.value || null })} className="border rounded px-2 py-1 bg-white">
+            <option value="">-- Colonne --</option>
+            {headers.map(h => <option key={h} value={h}>{h}</option>)}
+          </select>
+          <input value={current.pattern || ''} onChange={(e) => update({ pattern: e.target.value })} placeholder="^(\d{5})\s+(.+)$"
+            className="flex-1 min-w-[160px] border rounded px-2 py-1 font-mono" />
+          <label className="flex items-center gap-1">Groupe
+            <input type="number" min={0} value={current.group ?? 1} onChange={(e) => update({ group: Number(e.target.value) })} className="w-12 border rounded px-1 py-1" />
+          </label>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={!!current.trim} onChange={(e) => update({ trim: e.target.checked })} /> Nettoyer les espaces
+        </label>
+        <select value={current.case || ''} onChange={(e) => update({ case: e.target.value })} className="border rounded px-2 py-1 bg-white">
+          <option value="">Casse inchangée</option>
+          <option value="upper">MAJUSCULES</option>
+          <option value="lower">minuscules</option>
+          <option value="title">Première Lettre</option>
+        </select>
+      </div>
+
+      <div>
+        <div className="text-gray-500 mb-1">Table de correspondance (une par ligne : valeur =&gt; remplacement)</div>
+        <textarea value={replacementsText} rows={2}
+          onChange={(e) => { setReplacementsText(e.target.value); update({ replacements: parseReplacements(e.target.value) }); }}
+          placeholder="Boul. => Boulangerie" className="w-full border rounded px-2 py-1 font-mono" />
+      </div>
+
+      <div className="bg-white rounded border divide-y">
+        {sampleData.slice(0, 3).map((row, i) => {
+          const sources = current.mode === 'concat' ? current.columns || [] : [current.mode === 'split' ? current.column || column : column];
+          return (
+            <div key={i} className="flex items-center gap-2 px-2 py-1">
+              <span className="flex-1 truncate text-gray-400">{sources.map(c => c && row[c]).filter(v => !isBlankCell(v)).join(' | ') || '(vide)'}</span>
+              <ArrowRight className="w-3 h-3 text-gray-400" />
+              <span className="flex-1 truncate font-medium text-indigo-700">{applyTransform(row, column, current) ?? '(vide)'}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// COLUMN MAPPING MODAL
+// ============================================
+const ColumnMappingModal = ({
+  headers, initialMapping, onConfirm, onCancel, sampleData,
+  profiles = [], initialProfileId = null, signature,
+  onSaveProfile, onRenameProfile, onDeleteProfile,
+  sheets = [], onLayoutChange, csvOptions = null, onCsvOptionsChange, detection = null,
+  customFields = [], initialCustomColumns, initialTransforms
+}) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [profileId, setProfileId] = useState(initialProfileId);
+  const [customColumns, setCustomColumns] = useState(initialCustomColumns);
+  const [transforms, setTransforms] = useState(initialTransforms);
+  const [editingTransform, setEditingTransform] = useState(null);
+  const [showGrid, setShowGrid] = useState(() => sheets.some(s => s.headerRow > 0));
+
+  // Les en-têtes changent quand on choisit une autre ligne d'en-tête : repartir du mapping recalculé
+  useEffect(() => {
+    setMapping(initialMapping);
+    setProfileId(initialProfileId);
+    setCustomColumns(initialCustomColumns);
+    setTransforms(initialTransforms);
+  }, [initialMapping, initialProfileId, initialCustomColumns, initialTransforms]);
+
+  const activeProfile = profiles.find(p => p.id === profileId);
+
+  const selectProfile = (id) => {
+    setProfileId(id || null);
+    const profile = profiles.find(p => p.id === id);
+    if (profile) {
+      setMapping(applyProfileMapping(profile.mapping, headers));
+      setCustomColumns(profile.customColumns || {});
+      setTransforms(profile.transforms || {});
+    }
+  };
+
+  const saveProfile = async (asNew = false) => {
+    let name = activeProfile?.name;
+    if (asNew || !activeProfile) {
+      name = prompt('Nom du profil de mapping :', asNew ? '' : 'Nouveau profil');
+      if (!name?.trim()) return;
+    }
+    const id = await onSaveProfile({ id: asNew ? null : profileId, name: name.trim(), mapping, customColumns: resolvedCustomColumns, transforms: activeTransforms });
+    setProfileId(id);
+  };
+
+  const renameProfile = async () => {
+    if (!activeProfile) return;
+    const name = prompt('Nouveau nom du profil :', activeProfile.name);
+    if (name?.trim()) await onRenameProfile(activeProfile.id, name.trim());
+  };
+
+  const deleteProfile = async () => {
+    if (!activeProfile || !window.confirm(`Supprimer le profil "${activeProfile.name}" ?`)) return;
+    await onDeleteProfile(activeProfile.id);
+    setProfileId(null);
+  };
+
+  const fields = MAPPING_FIELDS;
+
+  const fieldLabel = (key) => fields.find(f => f.key === key)?.label || key;
+
+  // Colonnes non mappées : conservées comme champs personnalisés (existant de même libellé, sinon nouveau champ)
+  const activeTransforms = Object.fromEntries(Object.entries(transforms || {}).filter(([, rule]) => isTransformActive(rule)));
+  const mappedColumns = new Set([
+    ...Object.values(mapping).filter(Boolean),
+    ...Object.values(activeTransforms).flatMap(getTransformColumns)
+  ]);
+  const unmappedHeaders = headers.filter(h => !mappedColumns.has(h));
+  const resolvedCustomColumns = Object.fromEntries(unmappedHeaders.map(h => {
+    if (customColumns[h]) return [h, customColumns[h]];
+    if ([REJECTS_ERROR_COLUMN, ...CALL_SUMMARY_COLUMNS].some(c => normalizeLabel(c) === normalizeLabel(h))) return [h, { target: 'ignore' }];
+    const existing = customFields.find(f => normalizeLabel(f.label) === normalizeLabel(h));
+    return [h, existing ? { target: existing.key } : { target: 'new', type: inferCustomType(sampleData.map(r => r[h])) }];
+  }));
+  const setCustomColumn = (header, changes) =>
+    setCustomColumns(c => ({ ...c, [header]: { ...resolvedCustomColumns[header], ...changes } }));
+
+  // Autres champs pour lesquels la colonne choisie est aussi une candidate sérieuse
+  const getConflicts = (fieldKey, column) =>
+    Object.keys(detection?.scores || {}).filter(f => f !== fieldKey && (detection.scores[f][column] || 0) >= 0.5);
+
+  const confidenceClass = (c) => c >= 0.8 ? 'bg-green-100 text-green-700' : c >= 0.5 ? 'bg-amber-100 text-amber-700' : 'bg-red-100 text-red-700';
+
+  const getSampleValue = (header) => {
+    if (!header || !sampleData.length) return '';
+    const val = sampleData[0][header];
+    if (val === undefined || val === null) return '';
+    return String(val).slice(0, 50);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Columns className="w-6 h-6 text-blue-600" />
+          <h2 className="text-xl font-bold text-gray-800">Configuration des colonnes</h2>
+        </div>
+
+        <div className="p-4">
+          <p className="text-sm text-gray-600 mb-4">
+            Associez chaque champ à la colonne correspondante dans votre fichier.
+            Les colonnes détectées automatiquement sont pré-remplies.
+          </p>
+
+          {/* Paramètres CSV détectés */}
+          {csvOptions && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-amber-50 rounded-lg border border-amber-100 text-sm">
+              <FileText className="w-4 h-4 text-amber-600" />
+              <span className="font-medium text-amber-800">CSV</span>
+              {[
+                { key: 'encoding', label: 'Encodage', options: CSV_ENCODINGS },
+                { key: 'delimiter', label: 'Séparateur', options: CSV_DELIMITERS },
+                { key: 'quote', label: 'Guillemets', options: CSV_QUOTES }
+              ].map(opt => (
+                <label key={opt.key} className="flex items-center gap-1 text-xs text-gray-600">
+                  {opt.label}
+                  <select value={csvOptions[opt.key]}
+                    onChange={(e) => onCsvOptionsChange({ ...csvOptions, [opt.key]: e.target.value })}
+                    className="border rounded px-2 py-1 text-xs bg-white">
+                    {opt.options.map(o => (
+                      <option key={o.label} value={o.value}>
+                        {o.label}{csvOptions.detected?.[opt.key] === o.value ? ' (détecté)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {/* Aperçu brut : choix de la ligne d'en-tête */}
+          {sheets.length > 0 && (
+            <div className="mb-4 p-3 rounded-lg border">
+              <button onClick={() => setShowGrid(v => !v)} className="w-full flex items-center gap-2 text-sm font-medium text-gray-700">
+                <Table className="w-4 h-4 text-gray-500" />
+                Aperçu brut du fichier
+                <span className="text-xs text-gray-400 font-normal">
+                  {sheets.map(s => `en-tête ligne ${s.headerRow + 1}`).filter((v, i, a) => a.indexOf(v) === i).join(', ')}
+                </span>
+                <span className="flex-1" />
+                {showGrid ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </button>
+              {showGrid && (
+                <div className="mt-3">
+                  <RawGridPreview sheets={sheets} onLayoutChange={onLayoutChange} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Profils de mapping */}
+          <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-blue-50 rounded-lg border border-blue-100">
+            <Bookmark className="w-4 h-4 text-blue-600" />
+            <span className="text-sm font-medium text-blue-800">Profil</span>
+            <select
+              value={profileId || ''}
+              onChange={(e) => selectProfile(e.target.value)}
+              className="flex-1 min-w-[180px] border rounded-lg px-3 py-1.5 text-sm bg-white"
+            >
+              <option value="">-- Aucun profil --</option>
+              {profiles.map(p => (
+                <option key={p.id} value={p.id}>
+                  {p.name}{p.signature === signature ? ' ✓ (même structure)' : ''}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => saveProfile(false)} className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center gap-1">
+              <Save className="w-4 h-4" />{activeProfile ? 'Mettre à jour' : 'Enregistrer'}
+            </button>
+            {activeProfile && (
+              <>
+                <button onClick={() => saveProfile(true)} title="Enregistrer sous un nouveau nom" className="px-2 py-1.5 bg-white border rounded-lg hover:bg-gray-50 text-sm">
+                  <Plus className="w-4 h-4" />
+                </button>
+                <button onClick={renameProfile} title="Renommer" className="px-2 py-1.5 bg-white border rounded-lg hover:bg-gray-50 text-sm">
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={deleteProfile} title="Supprimer" className="px-2 py-1.5 bg-white border rounded-lg hover:bg-red-50 text-red-600 text-sm">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
+            )}
+            {activeProfile && activeProfile.id === initialProfileId && (
+              <div className="w-full text-xs text-blue-700">
+                ℹ️ Structure de fichier reconnue : mapping du profil « {activeProfile.name} » appliqué
+              </div>
+            )}
+          </div>
+
+          <div className="grid gap-3">
+            {fields.map(field => {
+              const column = mapping[field.key];
+              const confidence = column ? detection?.scores?.[field.key]?.[column] : null;
+              const candidates = getCandidates(detection?.scores, field.key).filter(c => c.column !== column);
+              const conflicts = column ? getConflicts(field.key, column) : [];
+              const rule = activeTransforms[field.key];
+              const multiColumn = rule && rule.mode !== 'column';
+              const transformed = rule && sampleData.length ? applyTransform(sampleData[0], column, rule) : null;
+              return (
+                <div key={field.key} className="p-2 rounded-lg hover:bg-gray-50">
+                  <div className="flex items-center gap-3">
+                    <div className="w-48 flex-shrink-0">
+                      <div className="font-medium text-sm text-gray-700">
+                        {field.label}
+                        {field.required && <span className="text-red-500 ml-1">*</span>}
+                      </div>
+                      {field.description && (
+                        <div className="text-xs text-gray-400">{field.description}</div>
+                      )}
+                    </div>
+                    <ArrowRight className="w-4 h-4 text-gray-400" />
+                    {multiColumn ? (
+                      <div className="flex-1 border border-indigo-300 bg-indigo-50 rounded-lg px-3 py-2 text-sm text-indigo-700 truncate">
+                        {rule.mode === 'concat' ? `Concaténation : ${(rule.columns || []).join(' + ')}` : `Extraction de « ${rule.column || column || '?'} »`}
+                      </div>
+                    ) : (
+                      <select
+                        value={column || ''}
+                        onChange={(e) => setMapping(m => ({ ...m, [field.key]: e.target.value || null }))}
+                        className={`flex-1 border rounded-lg px-3 py-2 text-sm ${column ? 'border-green-300 bg-green-50' : ''
+                          }`}
+                      >
+                        <option value="">-- Non mappé --</option>
+                        {headers.map(h => (
+                          <option key={h} value={h}>{h}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button onClick={() => setEditingTransform(k => k === field.key ? null : field.key)} title="Transformation"
+                      className={`p-1.5 rounded ${rule ? 'bg-indigo-600 text-white' : 'text-gray-400 hover:bg-gray-100'}`}>
+                      <Wand2 className="w-4 h-4" />
+                    </button>
+                    <div className="w-12 text-center">
+                      {confidence ? (
+                        <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${confidenceClass(confidence)}`} title="Confiance de la détection">
+                          {Math.round(confidence * 100)}%
+                        </span>
+                      ) : null}
+                    </div>
+                    {(column || rule) && (
+                      <div className="w-40 text-xs text-gray-500 truncate bg-gray-100 px-2 py-1 rounded">
+                        Ex: {rule ? transformed ?? '(vide)' : getSampleValue(column) || '(vide)'}
+                      </div>
+                    )}
+                  </div>
+                  {editingTransform === field.key && (
+                    <TransformEditor
+                      fieldKey={field.key}
+                      headers={headers}
+                      column={column}
+                      rule={transforms?.[field.key]}
+                      sampleData={sampleData}
+                      onChange={(r) => setTransforms(t => ({ ...t, [field.key]: r }))}
+                    />
+                  )}
+                  {(candidates.length > 0 || conflicts.length > 0) && (
+                    <div className="ml-[13.5rem] mt-1 flex flex-wrap items-center gap-1 text-xs">
+                      {candidates.length > 0 && <span className="text-gray-400">Autres candidats :</span>}
+                      {candidates.slice(0, 3).map(c => (
+                        <button key={c.column} onClick={() => setMapping(m => ({ ...m, [field.key]: c.column }))}
+                          className="px-1.5 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-gray-600">
+                          {c.column} ({Math.round(c.confidence * 100)}%)
+                        </button>
+                      ))}
+                      {conflicts.length > 0 && (
+                        <span className="text-amber-600">⚠ colonne aussi candidate pour {conflicts.map(fieldLabel).join(', ')}</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {unmappedHeaders.length > 0 && (
+            <div className="mt-6">
+              <h3 className="font-medium text-sm text-gray-700 mb-1 flex items-center gap-2">
+                <Tag className="w-4 h-4 text-gray-500" /> Colonnes non mappées
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">Conservées sur chaque fiche comme attributs personnalisés, sauf si ignorées.</p>
+              <div className="grid gap-2">
+                {unmappedHeaders.map(h => {
+                  const cfg = resolvedCustomColumns[h];
+                  return (
+                    <div key={h} className="flex items-center gap-3 px-2 text-sm">
+                      <div className="w-48 flex-shrink-0 truncate text-gray-700" title={h}>{h}</div>
+                      <ArrowRight className="w-4 h-4 text-gray-400" />
+                      <select value={cfg.target} onChange={(e) => setCustomColumn(h, { target: e.target.value })}
+                        className={`flex-1 border rounded-lg px-3 py-1.5 text-sm ${cfg.target === 'ignore' ? 'text-gray-400' : 'border-purple-300 bg-purple-50'}`}>
+                        <option value="ignore">-- Ignorer --</option>
+                        <option value="new">+ Nouveau champ « {h} »</option>
+                        {customFields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                      </select>
+                      {cfg.target === 'new' && (
+                        <select value={cfg.type} onChange={(e) => setCustomColumn(h, { type: e.target.value })}
+                          className="w-28 border rounded-lg px-2 py-1.5 text-sm">
+                          {CUSTOM_FIELD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                        </select>
+                      )}
+                      <div className="w-40 text-xs text-gray-500 truncate bg-gray-100 px-2 py-1 rounded">
+                        Ex: {getSampleValue(h) || '(vide)'}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={() => onConfirm(mapping, { customColumns: resolvedCustomColumns, transforms: activeTransforms })}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2"
+          >
+            <Check className="w-4 h-4" />
+            Confirmer le mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// CUSTOM FIELDS MODAL
+// ============================================
+const CustomFieldsModal = ({ customFields, onSave, onClose }) => {
+  const [fieldsDraft, setFieldsDraft] = useState(customFields);
+  const [newField, setNewField] = useState({ label: '', type: 'text' });
+
+  const update = (key, changes) => setFieldsDraft(list => list.map(f => f.key === key ? { ...f, ...changes } : f));
+  const remove = (key) => setFieldsDraft(list => list.filter(f => f.key !== key));
+  const add = () => {
+    if (!newField.label.trim()) return;
+    setFieldsDraft(list => [...list, { key: createCustomFieldKey(newField.label, list), label: newField.label.trim(), type: newField.type, showInTable: true }]);
+    setNewField({ label: '', type: 'text' });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Settings className="w-6 h-6 text-purple-600" />
+          <h2 className="text-xl font-bold text-gray-800">Champs personnalisés</h2>
+        </div>
+
+        <div className="p-4 space-y-2">
+          {!fieldsDraft.length && <p className="text-sm text-gray-400">Aucun champ personnalisé.</p>}
+          {fieldsDraft.map(f => (
+            <div key={f.key} className="flex items-center gap-2">
+              <input value={f.label} onChange={(e) => update(f.key, { label: e.target.value })}
+                className="flex-1 border rounded-lg px-3 py-1.5 text-sm" />
+              <select value={f.type} onChange={(e) => update(f.key, { type: e.target.value })} className="w-28 border rounded-lg px-2 py-1.5 text-sm">
+                {CUSTOM_FIELD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+              <button onClick={() => remove(f.key)} className="text-red-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>
+            </div>
+          ))}
+
+          <div className="flex items-center gap-2 pt-3 border-t">
+            <input value={newField.label} onChange={(e) => setNewField(n => ({ ...n, label: e.target.value }))}
+              onKeyDown={(e) => e.key === 'Enter' && add()}
+              placeholder="Nouveau champ (ex: Nb avis Google)" className="flex-1 border rounded-lg px-3 py-1.5 text-sm" />
+            <select value={newField.type} onChange={(e) => setNewField(n => ({ ...n, type: e.target.value }))} className="w-28 border rounded-lg px-2 py-1.5 text-sm">
+              {CUSTOM_FIELD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+            <button onClick={add} className="px-3 py-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm flex items-center gap-1">
+              <Plus className="w-4 h-4" />Ajouter
+            </button>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
+          <button onClick={onClose} className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Annuler
+          </button>
+          <button onClick={() => onSave(fieldsDraft.filter(f => f.label.trim()))}
+            className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center justify-center gap-2">
+            <Check className="w-4 h-4" /> Enregistrer
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// TAGS MODAL
+// ============================================
+const TagChip = ({ name, definitions, onRemove }) => (
+  <span className={`px-1.5 py-0.5 rounded text-xs inline-flex items-center gap-1 ${tagClassName(definitions, name)}`}>
+    {name}
+    {onRemove && (
+      <button onClick={(e) => { e.stopPropagation(); onRemove(name); }} className="opacity-60 hover:opacity-100" title="Retirer">
+        <X className="w-3 h-3" />
+      </button>
+    )}
+  </span>
+);
+
+const TagsModal = ({ tags, definitions, counts, onChangeColor, onCreate, onDelete, onClose }) => {
+  const [newTag, setNewTag] = useState('');
+
+  const create = () => {
+    const names = parseTags(newTag);
+    if (!names.length) return;
+    onCreate(names);
+    setNewTag('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Tag className="w-6 h-6 text-blue-600" />
+          <h2 className="text-xl font-bold text-gray-800 flex-1">Tags</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="p-4 space-y-2">
+          {!tags.length && <p className="text-sm text-gray-400">Aucun tag.</p>}
+          {tags.map(name => (
+            <div key={name} className="flex items-center gap-2">
+              <span className="flex-1"><TagChip name={name} definitions={definitions} /></span>
+              <span className="text-xs text-gray-400 w-16 text-right">{counts.get(name.toLowerCase()) || 0} fiche(s)</span>
+              <select value={findTagDefinition(definitions, name)?.color || 'gray'} onChange={(e) => onChangeColor(name, e.target.value)}
+                className="w-28 border rounded-lg px-2 py-1 text-sm">
+                {TAG_COLORS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+              </select>
+              <button onClick={() => onDelete(name)} className="text-red-400 hover:text-red-600" title="Supprimer le tag"><Trash2 className="w-4 h-4" /></button>
+            </div>
+          ))}
+
+          <div className="flex items-center gap-2 pt-3 border-t">
+            <input value={newTag} onChange={(e) => setNewTag(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && create()}
+              placeholder="Nouveau tag (ex: salon 2026, VIP)" className="flex-1 border rounded-lg px-3 py-1.5 text-sm" />
+            <button onClick={create} className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center gap-1">
+              <Plus className="w-4 h-4" />Ajouter
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// PIPELINE STATUSES MODAL
+// ============================================
+const PipelineModal = ({ statuses, counts, onSave, onClose }) => {
+  const [draft, setDraft] = useState(statuses);
+  const [newLabel, setNewLabel] = useState('');
+
+  const update = (key, changes) => setDraft(list => list.map(st => st.key === key ? { ...st, ...changes } : st));
+  const remove = (key) => setDraft(list => list.filter(st => st.key !== key));
+  const move = (index, delta) => setDraft(list => {
+    const next = [...list];
+    const [status] = next.splice(index, 1);
+    next.splice(index + delta, 0, status);
+    return next;
+  });
+  const add = () => {
+    if (!newLabel.trim()) return;
+    setDraft(list => [...list, { key: createStatusKey(newLabel, list), label: newLabel.trim(), color: TAG_COLORS[list.length % (TAG_COLORS.length - 1)].value }]);
+    setNewLabel('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Target className="w-6 h-6 text-blue-600" />
+          <h2 className="text-xl font-bold text-gray-800">Statuts de prospection</h2>
+        </div>
+
+        <div className="p-4 space-y-2">
+          {draft.map((st, i) => (
+            <div key={st.key} className="flex items-center gap-2">
+              <input value={st.label} onChange={(e) => update(st.key, { label: e.target.value })}
+                className="flex-1 border rounded-lg px-3 py-1.5 text-sm" />
+              <span className="text-xs text-gray-400 w-14 text-right">{counts.get(st.key) || 0} fiche(s)</span>
+              <select value={st.color} onChange={(e) => update(st.key, { color: e.target.value })} className={`w-28 border rounded-lg px-2 py-1.5 text-sm ${colorClassName(st.color)}`}>
+                {TAG_COLORS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+              </select>
+              <button onClick={() => move(i, -1)} disabled={i === 0} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => move(i, 1)} disabled={i === draft.length - 1} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                <ChevronDown className="w-4 h-4" />
+              </button>
+              <button onClick={() => remove(st.key)} className="text-red-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>
+            </div>
+          ))}
+
+          <div className="flex items-center gap-2 pt-3 border-t">
+            <input value={newLabel} onChange={(e) => setNewLabel(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && add()}
+              placeholder="Nouveau statut (ex: Devis envoyé)" className="flex-1 border rounded-lg px-3 py-1.5 text-sm" />
+            <button onClick={add} className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center gap-1">
+              <Plus className="w-4 h-4" />Ajouter
+            </button>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
+          <button onClick={() => setDraft(DEFAULT_PIPELINE_STATUSES)} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+            Par défaut
+          </button>
+          <button onClick={onClose} className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Annuler
+          </button>
+          <button onClick={() => onSave(draft.filter(st => st.label.trim()).map(st => ({ ...st, label: st.label.trim() })))}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2">
+            <Check className="w-4 h-4" /> Enregistrer
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// CALL LOG (CONTACT DRAWER)
+// ============================================
+// Date/heure locale au format attendu par <input type="datetime-local">
+const toLocalDateTimeInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const CallLog = ({ record, statuses, disabled, onStatusChange, onAddCall, onRemoveCall }) => {
+  const [call, setCall] = useState(() => ({ date: toLocalDateTimeInput(new Date()), outcome: CALL_OUTCOMES[0].value, status: '', comment: '' }));
+  const [saving, setSaving] = useState(false);
+
+  const submit = async () => {
+    setSaving(true);
+    await onAddCall({ ...call, date: new Date(call.date).toISOString() });
+    setCall({ date: toLocalDateTimeInput(new Date()), outcome: CALL_OUTCOMES[0].value, status: '', comment: '' });
+    setSaving(false);
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2"><Phone className="w-4 h-4" />Prospection</h3>
+      <label className="flex items-center gap-2 text-xs text-gray-500 mb-3">
+        Statut
+        <select value={record.pipelineStatus || ''} onChange={(e) => onStatusChange(e.target.value)} disabled={disabled}
+          className={`flex-1 border rounded px-2 py-1 text-sm ${colorClassName(findPipelineStatus(statuses, record.pipelineStatus)?.color)}`}>
+          <option value="">Sans statut</option>
+          {statuses.map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+        </select>
+      </label>
+
+      <div className="border rounded-lg p-2 space-y-2 bg-gray-50">
+        <div className="flex gap-2">
+          <input type="datetime-local" value={call.date} onChange={(e) => setCall(c => ({ ...c, date: e.target.value }))}
+            className="border rounded px-2 py-1 text-xs" />
+          <select value={call.outcome} onChange={(e) => setCall(c => ({ ...c, outcome: e.target.value }))} className="flex-1 border rounded px-2 py-1 text-xs">
+            {CALL_OUTCOMES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <select value={call.status} onChange={(e) => setCall(c => ({ ...c, status: e.target.value }))} className="flex-1 border rounded px-2 py-1 text-xs" title="Nouveau statut">
+            <option value="">Statut inchangé</option>
+            {statuses.map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+          </select>
+        </div>
+        <textarea rows={2} value={call.comment} onChange={(e) => setCall(c => ({ ...c, comment: e.target.value }))}
+          placeholder="Commentaire (interlocuteur, date de rappel...)" className="w-full border rounded px-2 py-1 text-xs" />
+        <button onClick={submit} disabled={disabled || saving || !call.date}
+          title={disabled ? "Enregistrez ou annulez d'abord les modifications en cours" : undefined}
+          className="w-full px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-xs flex items-center justify-center gap-1">
+          {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Plus className="w-3 h-3" />} Enregistrer l'appel
+        </button>
+      </div>
+
+      {record.calls?.length > 0 && (
+        <div className="mt-2 divide-y">
+          {[...record.calls].reverse().map(c => (
+            <div key={c.id} className="py-1.5 text-xs flex gap-2">
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-500">{formatDateTime(c.date)}</span>
+                  <span className="font-medium text-gray-700">{callOutcomeLabel(c.outcome)}</span>
+                  {c.status && (
+                    <span className={`px-1 rounded ${colorClassName(findPipelineStatus(statuses, c.status)?.color)}`}>{pipelineStatusLabel(statuses, c.status)}</span>
+                  )}
+                </div>
+                {c.comment && <div className="text-gray-600 whitespace-pre-wrap break-words">{c.comment}</div>}
+              </div>
+              {!disabled && (
+                <button onClick={() => onRemoveCall(c.id)} className="text-gray-300 hover:text-red-500 self-start" title="Supprimer l'appel">
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// SHEET PICKER MODAL
+// ============================================
+const SheetPickerModal = ({ fileName, sheets, onConfirm, onCancel }) => {
+  // Présélectionner l'onglet le plus fourni
+  const [selected, setSelected] = useState(() => {
+    const largest = sheets.reduce((best, s) => (s.rows.length > (best?.rows.length || 0) ? s : best), null);
+    return largest ? [largest.name] : [];
+  });
+
+  const nonEmpty = sheets.filter(s => s.rows.length);
+  const allSelected = nonEmpty.length > 0 && nonEmpty.every(s => selected.includes(s.name));
+  const selectedRows = sheets.filter(s => selected.includes(s.name)).reduce((n, s) => n + s.rows.length, 0);
+
+  const toggle = (name) => setSelected(sel => sel.includes(name) ? sel.filter(n => n !== name) : [...sel, name]);
+  const toggleAll = () => setSelected(allSelected ? [] : nonEmpty.map(s => s.name));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Sheet className="w-6 h-6 text-blue-600" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Choix des onglets</h2>
+            <div className="text-xs text-gray-500">{fileName} • {sheets.length} onglets</div>
+          </div>
+        </div>
+
+        <div className="p-4 space-y-2">
+          <label className="flex items-center gap-2 p-2 text-sm font-medium text-gray-700 cursor-pointer">
+            <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+            Tous les onglets non vides ({nonEmpty.length})
+          </label>
+          {sheets.map(sheet => (
+            <label key={sheet.name}
+              className={`flex items-start gap-3 p-3 rounded-lg border ${sheet.rows.length ? 'cursor-pointer hover:bg-gray-50' : 'opacity-50'} ${selected.includes(sheet.name) ? 'border-blue-300 bg-blue-50' : ''}`}>
+              <input type="checkbox" className="mt-1" disabled={!sheet.rows.length}
+                checked={selected.includes(sheet.name)} onChange={() => toggle(sheet.name)} />
+              <div className="flex-1 min-w-0">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium text-gray-800">{sheet.name}</span>
+                  <span className="text-gray-500">{sheet.rows.length} lignes</span>
+                </div>
+                <div className="text-xs text-gray-400 truncate">
+                  {sheet.headers.length ? sheet.headers.slice(0, 8).join(' • ') : 'Onglet vide'}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Annuler
+          </button>
+          <button
+            onClick={() => onConfirm(sheets.filter(s => selected.includes(s.name)))}
+            disabled={!selected.length}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            <ArrowRight className="w-4 h-4" />
+            Continuer ({selectedRows} lignes)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// VALIDATION REPORT
+// ============================================
+const ValidationReport = ({ entries, onDownload }) => {
+  const [openRule, setOpenRule] = useState(null);
+
+  const groups = Object.keys(VALIDATION_RULES).map(rule => ({
+    rule,
+    ...VALIDATION_RULES[rule],
+    entries: entries.filter(e => e.issues.some(i => i.rule === rule))
+  })).filter(g => g.entries.length);
+
+  if (!groups.length) {
+    return (
+      <div className="p-3 bg-green-50 rounded-lg text-green-700 text-sm flex items-center gap-2">
+        <CheckCircle2 className="w-4 h-4" /> Aucune anomalie détectée
+      </div>
+    );
+  }
+
+  return (
+    <div className="border rounded-lg divide-y">
+      <div className="p-3 flex items-center gap-2 text-sm font-medium text-gray-700">
+        <ListChecks className="w-4 h-4" /> Rapport de validation
+        <span className="flex-1" />
+        <button onClick={onDownload} className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded text-xs flex items-center gap-1 font-normal">
+          <Download className="w-3 h-3" /> Rejets et avertissements (.xlsx)
+        </button>
+      </div>
+      {groups.map(g => (
+        <div key={g.rule}>
+          <button onClick={() => setOpenRule(r => r === g.rule ? null : g.rule)}
+            className={`w-full flex items-center gap-2 px-3 py-2 text-sm ${g.level === 'error' ? 'text-red-700' : 'text-amber-700'}`}>
+            {g.level === 'error' ? <XCircle className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+            <span className="flex-1 text-left">{g.label}{g.level === 'error' ? ' — rejetées' : ''}</span>
+            <span className="font-bold">{g.entries.length}</span>
+            {openRule === g.rule ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+          {openRule === g.rule && (
+            <div className="max-h-40 overflow-y-auto px-3 pb-2 text-xs text-gray-600 space-y-0.5">
+              {g.entries.slice(0, 100).map((e, i) => (
+                <div key={i} className="flex gap-2">
+                  <span className="font-mono text-gray-400 w-24 flex-shrink-0 truncate" title={e.source}>L{e.line}</span>
+                  <span className="truncate">{e.record.name || '(sans nom)'} — {e.issues.filter(i => i.rule === g.rule).map(i => i.message).join(' ; ')}</span>
+                </div>
+              ))}
+              {g.entries.length > 100 && <div className="text-gray-400">… {g.entries.length - 100} autres lignes</div>}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ============================================
+// CONFLICT RESOLVER (IMPORT DUPLICATES)
+// ============================================
+const ConflictSummary = ({ record }) => (
+  <div className="min-w-0">
+    <div className="font-medium text-gray-800 truncate">{record.name || '(sans nom)'}</div>
+    <div className="text-gray-500 truncate">{[record.address, record.postalCode, record.city].filter(Boolean).join(' ')}</div>
+    <div className="text-gray-400 truncate font-mono">{[formatPhone(record.phone), record.siret].filter(Boolean).join(' • ')}</div>
+  </div>
+);
+
+const ConflictResolver = ({ duplicates, targets, actions, onChange, onBulk }) => {
+  const reasons = [...new Set(duplicates.map(d => d.duplicateReason))];
+
+  return (
+    <div className="border rounded-lg divide-y">
+      <div className="p-3 flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium text-gray-700 flex items-center gap-2"><AlertCircle className="w-4 h-4 text-orange-500" /> Doublons</span>
+        <span className="flex-1" />
+        {reasons.map(reason => (
+          <label key={reason} className="flex items-center gap-1 text-xs text-gray-600">
+            Tous « {reason} » ({duplicates.filter(d => d.duplicateReason === reason).length})
+            <select value="" onChange={(e) => e.target.value && onBulk(reason, e.target.value)} className="border rounded px-1 py-0.5">
+              <option value="">…</option>
+              {CONFLICT_ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      <div className="max-h-72 overflow-y-auto">
+        <table className="w-full text-xs table-fixed">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-gray-500">
+              <th className="px-2 py-1">Ligne importée</th>
+              <th className="px-2 py-1">Fiche existante</th>
+              <th className="px-2 py-1 w-28">Motif</th>
+              <th className="px-2 py-1 w-32">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {duplicates.slice(0, 200).map((d, i) => {
+              const target = targets.get(d.duplicateOf);
+              return (
+                <tr key={i} className={actions[i] === 'skip' ? 'text-gray-400' : ''}>
+                  <td className="px-2 py-1"><ConflictSummary record={d} /></td>
+                  <td className="px-2 py-1">
+                    {target ? (
+                      <>
+                        <div className="font-mono text-blue-600">{target.uniqueId}</div>
+                        <ConflictSummary record={target} />
+                      </>
+                    ) : <span className="text-gray-400">-</span>}
+                  </td>
+                  <td className="px-2 py-1">
+                    <span className="px-1 rounded bg-orange-50 text-orange-700">
+                      {formatDuplicateReason(d.duplicateReason, d.duplicateScore)}{d.trashMatchReason && ` (${d.trashMatchReason})`}
+                    </span>
+                    {target?.deletedAt && (
+                      <div className="text-gray-400 mt-1">Supprimée le {formatDate(target.deletedAt)}{target.deleteReason && ` : ${target.deleteReason}`}</div>
+                    )}
+                  </td>
+                  <td className="px-2 py-1">
+                    <select value={actions[i]} onChange={(e) => onChange(i, e.target.value)} className="border rounded px-1 py-0.5 w-full">
+                      {CONFLICT_ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {duplicates.length > 200 && (
+          <div className="px-3 py-2 text-xs text-gray-400">… {duplicates.length - 200} autres doublons (actions groupées par motif ci-dessus)</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// UPDATE DIFF PREVIEW
+// ============================================
+const formatDiffValue = (key, value) => {
+  if (!isFilledValue(value)) return '∅';
+  if (Array.isArray(value)) return value.join(', ');
+  if (['phone', 'mobile', 'phone2'].includes(key)) return formatPhone(value);
+  if (key === 'lastExportedAt') return formatDateTime(value);
+  if (key === 'distanceMeters') return `${(value / 1000).toFixed(1)} km`;
+  if (typeof value === 'number' && key === 'lat') return value.toFixed(5);
+  return String(value);
+};
+
+const UpdateDiffPreview = ({ plans, policies, onPolicyChange, rejected, onToggle, onToggleAll, customFields }) => {
+  const [showPolicies, setShowPolicies] = useState(false);
+  const changed = plans.filter(p => p.changes.length);
+  const accepted = changed.filter(p => !rejected.has(p.record.uniqueId)).length;
+  const customLabel = (key) => customFields.find(f => f.key === key)?.label || key;
+
+  return (
+    <div className="border rounded-lg divide-y">
+      <div className="p-3 flex items-center gap-2 text-sm font-medium text-gray-700">
+        <RefreshCw className="w-4 h-4" /> Mises à jour
+        <span className="text-xs font-normal text-gray-500">
+          {accepted}/{changed.length} fiches modifiées acceptées • {plans.length - changed.length} sans changement
+        </span>
+        <span className="flex-1" />
+        <button onClick={() => setShowPolicies(v => !v)} className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded text-xs flex items-center gap-1 font-normal">
+          <Settings className="w-3 h-3" /> Règles par champ
+        </button>
+      </div>
+
+      {showPolicies && (
+        <div className="p-3 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs bg-gray-50">
+          {UPDATE_FIELDS.map(f => (
+            <label key={f.key} className="flex items-center justify-between gap-2">
+              <span className="text-gray-600">{f.label}</span>
+              <select value={policies[f.key] || f.policy} onChange={(e) => onPolicyChange(f.key, e.target.value)} className="border rounded px-1 py-0.5">
+                {UPDATE_POLICIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+              </select>
+            </label>
+          ))}
+          <div className="sm:col-span-2 text-gray-400 mt-1">Une cellule vide dans le fichier n'efface jamais une valeur existante.</div>
+        </div>
+      )}
+
+      {changed.length > 0 && (
+        <div className="max-h-72 overflow-y-auto">
+          <label className="flex items-center gap-2 px-3 py-2 text-xs text-gray-600 sticky top-0 bg-white border-b cursor-pointer">
+            <input type="checkbox" checked={accepted === changed.length} onChange={() => onToggleAll(accepted === changed.length)} />
+            Tout accepter
+          </label>
+          {changed.slice(0, 200).map(p => (
+            <label key={p.record.uniqueId} className={`flex items-start gap-2 px-3 py-2 text-xs cursor-pointer ${rejected.has(p.record.uniqueId) ? 'opacity-50' : ''}`}>
+              <input type="checkbox" className="mt-0.5" checked={!rejected.has(p.record.uniqueId)} onChange={() => onToggle(p.record.uniqueId)} />
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-gray-800">
+                  <span className="font-mono text-blue-600 mr-2">{p.record.uniqueId}</span>{p.record.name}
+                </div>
+                {p.changes.map(c => (
+                  <div key={c.key} className="flex gap-2 text-gray-600">
+                    <span className="w-28 flex-shrink-0 text-gray-400 truncate">{c.customKey ? customLabel(c.customKey) : c.label}</span>
+                    <span className="line-through text-red-500 truncate max-w-[40%]">{formatDiffValue(c.key, c.before)}</span>
+                    <ArrowRight className="w-3 h-3 flex-shrink-0 mt-0.5" />
+                    <span className="text-green-700 truncate">{formatDiffValue(c.key, c.after)}</span>
+                  </div>
+                ))}
+              </div>
+            </label>
+          ))}
+          {changed.length > 200 && <div className="px-3 py-2 text-xs text-gray-400">… {changed.length - 200} autres fiches modifiées</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// MERGE MODAL
+// ============================================
+const MergeModal = ({ records, position, total, rule, onRuleChange, onConfirm, onMergeAll, onSkip, onCancel }) => {
+  // Réinitialisé par la clé du groupe (IDs des fiches) : une mise à jour des données ne perd pas les choix
+  const [choices, setChoices] = useState(() => defaultMergeChoices(records, rule));
+
+  const changeRule = (value) => {
+    setChoices(defaultMergeChoices(records, value));
+    onRuleChange(value);
+  };
+
+  const choose = (key, id) => setChoices(c => ({ ...c, [key]: id }));
+  const exportCount = records.reduce((sum, r) => sum + (r.exportCount || 0), 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex flex-wrap items-center gap-3">
+          <GitMerge className="w-6 h-6 text-orange-600" />
+          <div className="flex-1">
+            <h2 className="text-xl font-bold text-gray-800">Fusion de doublons</h2>
+            <div className="text-xs text-gray-500">Groupe {position} / {total} • {records.length} fiches</div>
+          </div>
+          <label className="text-sm text-gray-600 flex items-center gap-2">
+            Règle par défaut
+            <select value={rule} onChange={(e) => changeRule(e.target.value)} className="border rounded-lg px-2 py-1 text-sm">
+              {SURVIVORSHIP_RULES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div className="p-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-2 pr-3 w-32">Champ</th>
+                {records.map(r => (
+                  <th key={r.uniqueId} className="py-2 px-2">
+                    <div className="font-mono text-blue-600">{r.uniqueId}</div>
+                    <div className="font-normal text-gray-400">{r.sourceFile} • maj {formatDate(r.updatedAt)}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              <tr className="bg-orange-50">
+                <td className="py-2 pr-3 font-medium text-gray-700">ID conservé</td>
+                {records.map(r => (
+                  <td key={r.uniqueId} className="py-2 px-2">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input type="radio" checked={choices.master === r.uniqueId} onChange={() => choose('master', r.uniqueId)} />
+                      <span className="text-xs text-gray-500">{r.exportCount || 0} export(s)</span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+              {MERGE_FIELDS.map(f => {
+                const values = records.map(r => String(formatMergeValue(r, f)));
+                if (values.every(v => !v)) return null;
+                const same = values.every(v => v === values[0]);
+                return (
+                  <tr key={f.key} className={same ? 'text-gray-400' : ''}>
+                    <td className="py-2 pr-3 font-medium text-gray-700">{f.label}</td>
+                    {records.map((r, i) => (
+                      <td key={r.uniqueId} className="py-2 px-2">
+                        <label className={`flex items-start gap-2 cursor-pointer rounded p-1 ${choices[f.key] === r.uniqueId && !same ? 'bg-blue-50' : ''}`}>
+                          <input type="radio" className="mt-0.5" checked={choices[f.key] === r.uniqueId} onChange={() => choose(f.key, r.uniqueId)} />
+                          <span className={`text-xs break-words ${values[i] ? '' : 'italic text-gray-300'}`}>{values[i] || 'vide'}</span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="mt-3 text-xs text-gray-500">
+            Fiche fusionnée : {exportCount} export(s) cumulés • les autres IDs sont gardés en alias pour les ré-imports • champs personnalisés complétés
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex flex-wrap gap-3">
+          <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Fermer
+          </button>
+          <button onClick={onSkip} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+            Passer
+          </button>
+          <span className="flex-1" />
+          {total > 1 && (
+            <button onClick={onMergeAll} className="px-4 py-2 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 text-sm">
+              Fusionner les {total} groupes avec la règle
+            </button>
+          )}
+          <button onClick={() => onConfirm(choices)}
+            className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 flex items-center gap-2">
+            <GitMerge className="w-4 h-4" /> Fusionner
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// JOURNAL PANEL
+// ============================================
+const JournalPanel = ({ entries, onUndo, onClose }) => (
+  <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+    <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+      <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+        <Undo2 className="w-6 h-6 text-blue-600" />
+        <div className="flex-1">
+          <h2 className="text-xl font-bold text-gray-800">Annuler une opération</h2>
+          <div className="text-xs text-gray-500">{JOURNAL_LIMIT} dernières opérations conservées</div>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+      </div>
+      <div className="divide-y">
+        {!entries.length && <div className="p-6 text-center text-sm text-gray-400">Aucune opération enregistrée</div>}
+        {entries.map(e => (
+          <div key={e.id} className={`p-3 flex items-center gap-3 text-sm ${e.undone ? 'opacity-50' : ''}`}>
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-gray-800 truncate">{e.label}</div>
+              <div className="text-xs text-gray-500">
+                {formatDateTime(e.date)} • {[
+                  e.summary.created && `${e.summary.created} ajoutée(s)`,
+                  e.summary.updated && `${e.summary.updated} modifiée(s)`,
+                  e.summary.removed && `${e.summary.removed} supprimée(s)`
+                ].filter(Boolean).join(', ') || 'historique des exports'}
+              </div>
+            </div>
+            {e.undone ? (
+              <span className="text-xs text-gray-500">Annulée le {formatDateTime(e.undoneAt)}</span>
+            ) : (
+              <button onClick={() => onUndo(e)} className="px-3 py-1 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 flex items-center gap-1 text-xs">
+                <Undo2 className="w-3 h-3" /> Annuler
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+// ============================================
+// CONTACT HISTORY MODAL
+// ============================================
+const HISTORY_ACTION_LABELS = { created: 'Création', updated: 'Modification', deleted: 'Suppression' };
+
+const HistoryModal = ({ record, customFields, pipelineStatuses, onClose }) => {
+  const [entries, setEntries] = useState(null);
+
+  const displayValue = (field, value) => (field === 'pipelineStatus' && value ? pipelineStatusLabel(pipelineStatuses, value) : value);
+
+  // L'historique d'une fiche fusionnée inclut celui des fiches absorbées (alias)
+  useEffect(() => {
+    Promise.all([record.uniqueId, ...(record.aliases || [])].map(id => dbOps.getAllByIndex('history', 'uniqueId', id)))
+      .then(lists => setEntries(lists.flat().sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id)))
+      .catch(() => setEntries([]));
+  }, [record]);
+
+  const exportHistory = () => {
+    const rows = entries.flatMap(e => {
+      const base = {
+        'Date': formatDateTime(e.date), 'ID Fiche': e.uniqueId, 'Source': HISTORY_SOURCES[e.source] || e.source,
+        'Détail': e.detail || '', 'Action': HISTORY_ACTION_LABELS[e.action]
+      };
+      if (!e.changes.length) return [{ ...base, 'Champ': '', 'Avant': '', 'Après': '' }];
+      return e.changes.map(c => ({ ...base, 'Champ': historyFieldLabel(c.field, customFields), 'Avant': displayValue(c.field, c.before) ?? '', 'Après': displayValue(c.field, c.after) ?? '' }));
+    });
+    const ws = XLSX.utils.json_to_sheet(rows);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Historique');
+    XLSX.writeFile(wb, `historique_${record.uniqueId}.xlsx`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <History className="w-6 h-6 text-blue-600" />
+          <div className="flex-1 min-w-0">
+            <h2 className="text-xl font-bold text-gray-800">Historique de la fiche</h2>
+            <div className="text-xs text-gray-500 truncate">
+              <span className="font-mono text-blue-600">{record.uniqueId}</span> • {record.name}
+              {record.aliases?.length > 0 && ` • alias ${record.aliases.join(', ')}`}
+            </div>
+          </div>
+          <button onClick={exportHistory} disabled={!entries?.length}
+            className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm flex items-center gap-1 disabled:opacity-50">
+            <Download className="w-4 h-4" /> Exporter
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+        <div className="divide-y">
+          {!entries && <div className="p-6 flex justify-center"><Loader2 className="w-6 h-6 animate-spin text-blue-600" /></div>}
+          {entries && !entries.length && <div className="p-6 text-center text-sm text-gray-400">Aucun historique pour cette fiche</div>}
+          {entries?.map(e => (
+            <div key={e.id} className="p-3 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500">{formatDateTime(e.date)}</span>
+                <span className="px-1.5 rounded bg-blue-50 text-blue-700 text-xs">{HISTORY_SOURCES[e.source] || e.source}</span>
+                <span className="text-xs text-gray-600">{HISTORY_ACTION_LABELS[e.action]}</span>
+                {e.uniqueId !== record.uniqueId && <span className="font-mono text-xs text-gray-400">{e.uniqueId}</span>}
+                {e.detail && <span className="text-xs text-gray-400 truncate">{e.detail}</span>}
+              </div>
+              {e.changes.map(c => (
+                <div key={c.field} className="flex gap-2 text-xs text-gray-600 mt-1">
+                  <span className="w-36 flex-shrink-0 text-gray-400 truncate">{historyFieldLabel(c.field, customFields)}</span>
+                  <span className="line-through text-red-500 truncate max-w-[35%]">{displayValue(c.field, c.before) ?? '∅'}</span>
+                  <ArrowRight className="w-3 h-3 flex-shrink-0 mt-0.5" />
+                  <span className="text-green-700 truncate">{displayValue(c.field, c.after) ?? '∅'}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// TRASH PANEL
+// ============================================
+const TrashPanel = ({ items, onRestore, onPurge, onClose }) => {
+  const [selected, setSelected] = useState([]);
+  const sorted = useMemo(() => [...items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)), [items]);
+  const toggle = (id) => setSelected(sel => sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]);
+
+  useEffect(() => { setSelected(sel => sel.filter(id => items.some(t => t.uniqueId === id))); }, [items]);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+          <Trash2 className="w-6 h-6 text-red-500" />
+          <div className="flex-1">
+            <h2 className="text-xl font-bold text-gray-800">Corbeille</h2>
+            <div className="text-xs text-gray-500">{items.length} fiche(s) • reconnues comme doublons lors des prochains imports</div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="divide-y">
+          {!items.length && <div className="p-6 text-center text-sm text-gray-400">La corbeille est vide</div>}
+          {items.length > 0 && (
+            <label className="flex items-center gap-2 px-3 py-2 text-xs text-gray-600 cursor-pointer">
+              <input type="checkbox" checked={selected.length === items.length}
+                onChange={() => setSelected(selected.length === items.length ? [] : items.map(t => t.uniqueId))} />
+              Tout sélectionner
+            </label>
+          )}
+          {sorted.map(t => (
+            <label key={t.uniqueId} className="flex items-start gap-3 p-3 text-sm cursor-pointer hover:bg-gray-50">
+              <input type="checkbox" className="mt-1" checked={selected.includes(t.uniqueId)} onChange={() => toggle(t.uniqueId)} />
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-gray-800 truncate">
+                  <span className="font-mono text-blue-600 mr-2">{t.uniqueId}</span>{t.name}
+                </div>
+                <div className="text-xs text-gray-500 truncate">{[t.postalCode, t.city].filter(Boolean).join(' ')} {t.phone && `• ${formatPhone(t.phone)}`}</div>
+              </div>
+              <div className="text-right text-xs text-gray-500 flex-shrink-0">
+                <div>{formatDateTime(t.deletedAt)}</div>
+                {t.deleteReason && <div className="text-gray-700 italic">{t.deleteReason}</div>}
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t p-4 flex flex-wrap gap-3">
+          <button onClick={() => onPurge(null)} disabled={!items.length}
+            className="px-4 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 disabled:opacity-50 text-sm">
+            Vider la corbeille
+          </button>
+          <span className="flex-1" />
+          <button onClick={() => onPurge(selected)} disabled={!selected.length}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm">
+            Supprimer définitivement ({selected.length})
+          </button>
+          <button onClick={() => onRestore(selected)} disabled={!selected.length}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm">
+            <Undo2 className="w-4 h-4" /> Restaurer ({selected.length})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// CONTACT DRAWER
+// ============================================
+const DetailRow = ({ label, value }) => (
+  <div className="flex gap-2 text-xs py-0.5">
+    <span className="w-32 flex-shrink-0 text-gray-400">{label}</span>
+    <span className="text-gray-700 break-words min-w-0">{isFilledValue(value) ? value : '-'}</span>
+  </div>
+);
+
+const ContactDrawer = ({
+  record, customFields, exports, onSave, tagDefinitions, knownTags, onTagsChange,
+  pipelineStatuses, onStatusChange, onAddCall, onRemoveCall, onShowHistory, onDelete, onClose
+}) => {
+  const [edits, setEdits] = useState(() => editsFromRecord(record));
+  const [tagInput, setTagInput] = useState('');
+  const [customEdits, setCustomEdits] = useState(() => customEditsFromRecord(record, customFields));
+  const [errors, setErrors] = useState({});
+  const [regeocode, setRegeocode] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Version de la fiche (et des champs personnalisés) à partir de laquelle les saisies ont été faites
+  const [base, setBase] = useState({ record, customFields });
+
+  const reset = useCallback(() => {
+    setBase({ record, customFields });
+    setEdits(editsFromRecord(record));
+    setCustomEdits(customEditsFromRecord(record, customFields));
+    setErrors({});
+  }, [record, customFields]);
+
+  const changedEdits = Object.fromEntries(Object.entries(edits).filter(([k, v]) => v !== toEditValue(base.record, k)));
+  const changedCustom = Object.fromEntries(Object.entries(customEdits)
+    .filter(([k, v]) => v !== toCustomEditValue(base.record.custom?.[k], customFields.find(f => f.key === k)?.type)));
+  const isDirty = Object.keys(changedEdits).length > 0 || Object.keys(changedCustom).length > 0;
+  const recordChanged = record !== base.record || customFields !== base.customFields;
+
+  // La fiche a changé (enregistrement, enrichissement...) : repartir de ses valeurs, sauf si des saisies en cours
+  // seraient perdues — l'utilisateur choisit alors entre recharger et garder ses saisies
+  const savingRef = useRef(false);
+  useEffect(() => {
+    if (!recordChanged || (record.uniqueId === base.record.uniqueId && isDirty && !savingRef.current)) return;
+    savingRef.current = false;
+    reset();
+  }, [recordChanged, record, base, isDirty, reset]);
+
+  // Garder les saisies : elles s'appliquent sur la nouvelle version, les autres champs en prennent les valeurs
+  const keepEdits = () => {
+    setEdits({ ...editsFromRecord(record), ...changedEdits });
+    setCustomEdits({ ...customEditsFromRecord(record, customFields), ...changedCustom });
+    setBase({ record, customFields });
+  };
+  const addressChanged = ADDRESS_FIELDS.some(k => k in changedEdits);
+
+  const recordExports = exports.filter(e => e.contactIds.includes(record.uniqueId) || record.aliases?.some(id => e.contactIds.includes(id)))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const save = async () => {
+    const result = applyContactEdits(record, changedEdits, changedCustom, customFields);
+    setErrors(result.errors);
+    if (Object.keys(result.errors).length) return;
+    setSaving(true);
+    savingRef.current = true;
+    await onSave(result.record, { regeocode: addressChanged && regeocode });
+    setSaving(false);
+  };
+
+  // Les tags sont enregistrés immédiatement : indisponibles tant que d'autres saisies sont en cours,
+  // l'enregistrement rechargeant la fiche
+  const addTagsFromInput = () => {
+    const added = parseTags(tagInput);
+    if (added.length && !isDirty) onTagsChange(addTags(record.tags, added));
+    setTagInput('');
+  };
+
+  const input = (f) => {
+    const props = {
+      value: edits[f.key],
+      onChange: (e) => setEdits(prev => ({ ...prev, [f.key]: e.target.value })),
+      className: `w-full border rounded px-2 py-1 text-sm ${errors[f.key] ? 'border-red-400 bg-red-50' : f.key in changedEdits ? 'border-blue-400' : ''}`
+    };
+    return f.multiline ? <textarea rows={2} {...props} /> : <input type="text" {...props} />;
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={onClose}>
+      <div className="bg-white w-full max-w-lg h-full overflow-y-auto shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3 z-10">
+          <Building2 className="w-6 h-6 text-blue-600" />
+          <div className="flex-1 min-w-0">
+            <h2 className="text-lg font-bold text-gray-800 truncate">{record.name || '(sans nom)'}</h2>
+            <div className="text-xs text-gray-500">
+              <span className="font-mono text-blue-600">{record.uniqueId}</span>
+              {record.aliases?.length > 0 && ` • alias ${record.aliases.join(', ')}`}
+            </div>
+          </div>
+          <button onClick={onShowHistory} className="text-gray-400 hover:text-blue-600" title="Historique"><History className="w-5 h-5" /></button>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="p-4 space-y-5 flex-1">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2"><Tag className="w-4 h-4" />Tags</h3>
+            <div className="flex flex-wrap items-center gap-1">
+              {(record.tags || []).map(t => (
+                <TagChip key={t} name={t} definitions={tagDefinitions} onRemove={isDirty ? null : (name) => onTagsChange(removeTags(record.tags, [name]))} />
+              ))}
+              <input list="contact-tags" value={tagInput} onChange={(e) => setTagInput(e.target.value)} disabled={isDirty}
+                title={isDirty ? "Enregistrez ou annulez d'abord les modifications en cours" : undefined}
+                onKeyDown={(e) => e.key === 'Enter' && addTagsFromInput()} onBlur={addTagsFromInput}
+                placeholder="Ajouter un tag..." className="border rounded px-2 py-0.5 text-xs w-36" />
+              <datalist id="contact-tags">
+                {knownTags.filter(t => !matchTagFilter(record.tags, [t], 'any')).map(t => <option key={t} value={t} />)}
+              </datalist>
+            </div>
+          </div>
+
+          <CallLog record={record} statuses={pipelineStatuses} disabled={isDirty}
+            onStatusChange={onStatusChange} onAddCall={onAddCall} onRemoveCall={onRemoveCall} />
+
+          {['Entreprise', 'Coordonnées'].map(group => (
+            <div key={group}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">{group}</h3>
+              <div className="space-y-2">
+                {EDITABLE_FIELDS.filter(f => f.group === group).map(f => (
+                  <label key={f.key} className="block">
+                    <span className="text-xs text-gray-500">{f.label}</span>
+                    {input(f)}
+                    {errors[f.key] && <span className="text-xs text-red-600">{errors[f.key]}</span>}
+                  </label>
+                ))}
+              </div>
+              {group === 'Coordonnées' && addressChanged && (
+                <label className="mt-2 flex items-center gap-2 text-xs text-amber-700 bg-amber-50 rounded p-2">
+                  <input type="checkbox" checked={regeocode} onChange={(e) => setRegeocode(e.target.checked)} />
+                  Adresse modifiée : relancer le géocodage (et le calcul de trajet)
+                </label>
+              )}
+            </div>
+          ))}
+
+          {customFields.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-purple-700 mb-2">Champs personnalisés</h3>
+              <div className="space-y-2">
+                {customFields.map(f => (
+                  <label key={f.key} className="block">
+                    <span className="text-xs text-gray-500">{f.label}</span>
+                    {f.type === 'boolean' ? (
+                      <select value={customEdits[f.key]} onChange={(e) => setCustomEdits(prev => ({ ...prev, [f.key]: e.target.value }))}
+                        className="w-full border rounded px-2 py-1 text-sm">
+                        <option value="">-</option>
+                        <option value="oui">Oui</option>
+                        <option value="non">Non</option>
+                      </select>
+                    ) : (
+                      <input type={f.type === 'date' ? 'date' : 'text'} value={customEdits[f.key]}
+                        onChange={(e) => setCustomEdits(prev => ({ ...prev, [f.key]: e.target.value }))}
+                        className={`w-full border rounded px-2 py-1 text-sm ${errors[`custom.${f.key}`] ? 'border-red-400 bg-red-50' : ''}`} />
+                    )}
+                    {errors[`custom.${f.key}`] && <span className="text-xs text-red-600">{errors[`custom.${f.key}`]}</span>}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Données API</h3>
+            <DetailRow label="Statut" value={record.apiStatus} />
+            <DetailRow label="Effectif" value={[record.apiEffectifCode, record.apiEffectifLabel].filter(Boolean).join(' — ')} />
+            <DetailRow label="NAF" value={record.apiNaf} />
+            <DetailRow label="Date de création" value={record.apiDateCreation} />
+            <DetailRow label="Dirigeants" value={record.apiDirigeants} />
+            {record.apiSirenFound && <DetailRow label="SIREN trouvé" value={record.apiSirenFound} />}
+            {record.idIssues?.length > 0 && <DetailRow label="Identifiants" value={record.idIssues.map(i => ID_ISSUE_LABELS[i]).join(' • ')} />}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Localisation</h3>
+            <DetailRow label="Coordonnées" value={record.lat && record.lon ? `${record.lat.toFixed(5)}, ${record.lon.toFixed(5)}` : null} />
+            <DetailRow label="Géocodage" value={record.geoStatus} />
+            <DetailRow label="Distance" value={record.distanceMeters ? `${(record.distanceMeters / 1000).toFixed(1)} km` : null} />
+            <DetailRow label="Temps de trajet" value={record.durationSeconds ? formatDuration(record.durationSeconds) : null} />
+            <DetailRow label="Calcul de trajet" value={record.routeStatus} />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Suivi</h3>
+            <DetailRow label="Importée le" value={formatDateTime(record.createdAt)} />
+            <DetailRow label="Modifiée le" value={formatDateTime(record.updatedAt)} />
+            <DetailRow label="Source" value={record.sourceFile} />
+            <DetailRow label="Exports" value={`${record.exportCount || 0} • dernier ${formatDateTime(record.lastExportedAt)}`} />
+            {recordExports.length > 0 && (
+              <div className="mt-1 pl-32 space-y-0.5">
+                {recordExports.map(e => (
+                  <div key={e.id} className="text-xs text-gray-500">{formatDateTime(e.date)} • {e.count} fiches</div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t">
+          {recordChanged && (
+            <div className="bg-amber-50 border-b border-amber-200 px-4 py-2 flex flex-wrap items-center gap-2 text-sm text-amber-800">
+              <AlertCircle className="w-4 h-4" />
+              <span className="flex-1">La fiche a été modifiée pendant votre saisie.</span>
+              <button onClick={reset} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100">Recharger la fiche</button>
+              <button onClick={keepEdits} className="px-2 py-1 bg-amber-600 text-white rounded-lg hover:bg-amber-700">Garder mes saisies</button>
+            </div>
+          )}
+          <div className="p-4 flex gap-3">
+            <button onClick={onDelete} className="px-3 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 flex items-center gap-2 text-sm">
+              <Trash2 className="w-4 h-4" />Corbeille
+            </button>
+            <span className="flex-1" />
+            <button onClick={reset} disabled={!isDirty}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm">
+              Annuler
+            </button>
+            <button onClick={save} disabled={!isDirty || saving || recordChanged}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm">
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />} Enregistrer
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
 };
 
-// Fonction pour détecter automatiquement les colonnes
-const detectColumns = (headers) => {
-  const mapping = {};
-  const headersLower = headers.map(h => h?.toString().toLowerCase().trim() || '');
+// ============================================
+// NEW CONTACT MODAL
+// ============================================
+const NewContactModal = ({ customFields, onCreate, onOpenExisting, onClose }) => {
+  const fields = EDITABLE_FIELDS.filter(f => NEW_CONTACT_FIELDS.includes(f.key));
+  const [edits, setEdits] = useState(() => Object.fromEntries(fields.map(f => [f.key, ''])));
+  const [customEdits, setCustomEdits] = useState(() => Object.fromEntries(customFields.map(f => [f.key, ''])));
+  const [apiData, setApiData] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [duplicate, setDuplicate] = useState(null);
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [searching, setSearching] = useState(false);
 
-  Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms]) => {
-    for (const synonym of synonyms) {
-      const index = headersLower.findIndex(h => h === synonym || h.includes(synonym));
-      if (index !== -1 && !Object.values(mapping).includes(headers[index])) {
-        mapping[field] = headers[index];
-        break;
-      }
-    }
-  });
+  // Autocomplétion depuis le nom ou le SIRET, après une courte pause de frappe
+  useEffect(() => {
+    if (query.trim().length < 3) { setSuggestions([]); return undefined; }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      const results = await searchCompanies(query.trim());
+      if (!cancelled) { setSuggestions(results); setSearching(false); }
+    }, 350);
+    return () => { cancelled = true; clearTimeout(timer); setSearching(false); };
+  }, [query]);
+
+  const change = (key, value) => {
+    setEdits(prev => ({ ...prev, [key]: value }));
+    setDuplicate(null);
+    if (key === 'name' || key === 'siret') setQuery(value);
+  };
+
+  const pick = (s) => {
+    setEdits(prev => ({
+      ...prev, name: s.name || prev.name, siret: s.siret || prev.siret,
+      address: s.address || prev.address, postalCode: s.postalCode || prev.postalCode, city: s.city || prev.city
+    }));
+    setApiData(s.api);
+    setQuery('');
+    setSuggestions([]);
+    setDuplicate(null);
+  };
+
+  const submit = async (force = false) => {
+    const filled = Object.fromEntries(Object.entries(edits).filter(([, v]) => v.trim()));
+    const { record, errors: found } = applyContactEdits({ ...createBlankRecord(null), ...apiData }, filled, customEdits, customFields);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    const result = await onCreate(record, force);
+    if (result?.duplicate) setDuplicate(result.duplicate);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-xl max-w-xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3 z-10">
+          <Plus className="w-6 h-6 text-blue-600" />
+          <div className="flex-1">
+            <h2 className="text-xl font-bold text-gray-800">Nouvelle fiche</h2>
+            <div className="text-xs text-gray-500">Saisir un nom ou un SIRET pour préremplir depuis l'annuaire des entreprises</div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="p-4 space-y-2">
+          {fields.map(f => (
+            <div key={f.key} className="relative">
+              <label className="block">
+                <span className="text-xs text-gray-500">{f.label}{f.key === 'name' && ' *'}</span>
+                {f.multiline ? (
+                  <textarea rows={2} value={edits[f.key]} onChange={(e) => change(f.key, e.target.value)}
+                    className={`w-full border rounded px-2 py-1 text-sm ${errors[f.key] ? 'border-red-400 bg-red-50' : ''}`} />
+                ) : (
+                  <input type="text" value={edits[f.key]} onChange={(e) => change(f.key, e.target.value)}
+                    className={`w-full border rounded px-2 py-1 text-sm ${errors[f.key] ? 'border-red-400 bg-red-50' : ''}`} />
+                )}
+              </label>
+              {errors[f.key] && <span className="text-xs text-red-600">{errors[f.key]}</span>}
+              {(f.key === 'name' || f.key === 'siret') && query && query === edits[f.key] && (searching || suggestions.length > 0) && (
+                <div className="absolute z-20 left-0 right-0 mt-1 bg-white border rounded-lg shadow-lg divide-y max-h-64 overflow-y-auto">
+                  {searching && <div className="p-2 text-xs text-gray-400 flex items-center gap-2"><Loader2 className="w-3 h-3 animate-spin" /> Recherche...</div>}
+                  {suggestions.map((s, i) => (
+                    <button key={i} onClick={() => pick(s)} className="w-full text-left p-2 hover:bg-blue-50 text-xs">
+                      <div className="font-medium text-gray-800">{s.name}</div>
+                      <div className="text-gray-500">{[s.siret, s.address, s.postalCode, s.city].filter(Boolean).join(' • ')}</div>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {apiData && (
+            <div className="p-2 bg-green-50 text-green-700 rounded text-xs flex items-center gap-2">
+              <CheckCircle2 className="w-4 h-4" /> Données de l'annuaire reprises : {[apiData.apiEffectifLabel, apiData.apiNaf, apiData.lat && 'coordonnées GPS'].filter(Boolean).join(', ')}
+              <button onClick={() => setApiData(null)} className="ml-auto text-green-600 hover:text-green-800"><X className="w-3 h-3" /></button>
+            </div>
+          )}
+
+          {customFields.map(f => (
+            <label key={f.key} className="block">
+              <span className="text-xs text-purple-500">{f.label}</span>
+              {f.type === 'boolean' ? (
+                <select value={customEdits[f.key]} onChange={(e) => setCustomEdits(prev => ({ ...prev, [f.key]: e.target.value }))}
+                  className="w-full border rounded px-2 py-1 text-sm">
+                  <option value="">-</option>
+                  <option value="oui">Oui</option>
+                  <option value="non">Non</option>
+                </select>
+              ) : (
+                <input type={f.type === 'date' ? 'date' : 'text'} value={customEdits[f.key]}
+                  onChange={(e) => setCustomEdits(prev => ({ ...prev, [f.key]: e.target.value }))}
+                  className={`w-full border rounded px-2 py-1 text-sm ${errors[`custom.${f.key}`] ? 'border-red-400 bg-red-50' : ''}`} />
+              )}
+              {errors[`custom.${f.key}`] && <span className="text-xs text-red-600">{errors[`custom.${f.key}`]}</span>}
+            </label>
+          ))}
+
+          {duplicate && (
+            <div className="p-3 bg-orange-50 text-orange-800 rounded-lg text-sm space-y-2">
+              <div className="flex items-center gap-2 font-medium">
+                <AlertCircle className="w-4 h-4" /> Doublon possible ({formatDuplicateReason(duplicate.reason, duplicate.score)})
+              </div>
+              <div className="text-xs">
+                <span className="font-mono text-blue-600">{duplicate.target.uniqueId}</span> {duplicate.target.name}
+                {duplicate.inTrash && ' — dans la corbeille'}
+              </div>
+              <div className="flex gap-2">
+                {!duplicate.inTrash && (
+                  <button onClick={() => onOpenExisting(duplicate.target.uniqueId)} className="px-2 py-1 bg-white border rounded text-xs hover:bg-gray-50">
+                    Ouvrir la fiche existante
+                  </button>
+                )}
+                <button onClick={() => submit(true)} className="px-2 py-1 bg-orange-500 text-white rounded text-xs hover:bg-orange-600">
+                  Créer quand même
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
 
-  return mapping;
+        <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
+          <button onClick={onClose} className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Annuler
+          </button>
+          <button onClick={() => submit(false)} disabled={!edits.name.trim()}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2">
+            <Save className="w-4 h-4" /> Créer la fiche
+          </button>
+        </div>
+      </div>
+    </div>
+  );
 };
 
 // ============================================
-// HELPERS
+// TABLE VIRTUALIZATION
 // ============================================
-const normalizePhone = (phone) => {
-  if (!phone) return null;
-  const cleaned = String(phone).replace(/\D/g, '');
-  if (cleaned.length < 9) return null;
-  // Garder les 10 derniers chiffres pour la France
-  return cleaned.slice(-10);
-};
+// Hauteur fixe d'une ligne du tableau : seules les lignes visibles (plus une marge) sont rendues
+const TABLE_ROW_HEIGHT = 72;
+const TABLE_OVERSCAN = 10;
+// 0 = toutes les fiches dans un seul tableau défilant
+const PAGE_SIZES = [0, 50, 100, 250, 500];
 
-const normalizePostalCode = (cp) => {
-  if (!cp) return null;
-  // Convertir en string et nettoyer
-  let code = String(cp).trim();
-  // Si c'est un nombre à virgule (Excel), prendre la partie entière
-  if (code.includes('.')) code = code.split('.')[0];
-  // Enlever tout ce qui n'est pas un chiffre
-  code = code.replace(/\D/g, '');
-  // Si vide ou trop court, retourner null
-  if (!code || code.length < 4) return null;
-  // Ajouter le 0 devant si nécessaire (codes 01000-09999)
-  if (code.length === 4) code = '0' + code;
-  // Prendre seulement les 5 premiers chiffres
-  return code.slice(0, 5);
+const getVirtualWindow = (scrollTop, viewportHeight, count) => {
+  const firstVisible = Math.min(count, Math.floor(scrollTop / TABLE_ROW_HEIGHT));
+  const lastVisible = Math.min(count, Math.ceil((scrollTop + viewportHeight) / TABLE_ROW_HEIGHT));
+  return {
+    start: Math.max(0, firstVisible - TABLE_OVERSCAN),
+    end: Math.min(count, lastVisible + TABLE_OVERSCAN),
+    firstVisible,
+    lastVisible
+  };
 };
 
-const formatPhone = (phone) => phone?.length === 10 ? phone.replace(/(\d{2})(?=\d)/g, '$1 ').trim() : phone;
-const formatDuration = (s) => !s ? '-' : s < 3600 ? `${Math.round(s / 60)} min` : `${Math.floor(s / 3600)}h${(Math.round(s / 60) % 60).toString().padStart(2, '0')}`;
-const formatDistance = (m) => !m ? '-' : m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
-const formatDate = (d) => d ? new Date(d).toLocaleDateString('fr-FR') : '-';
-const formatDateTime = (d) => d ? new Date(d).toLocaleString('fr-FR') : '-';
-
-const generateUniqueId = (prefix, counter) => `${prefix}_${counter.toString().padStart(5, '0')}`;
-
 // ============================================
-// API FUNCTIONS
+// TABLE COLUMNS
 // ============================================
-const geocodeAddress = async (address, postalCode, city) => {
-  const query = `${address || ''} ${postalCode || ''} ${city || ''}`.trim();
-  if (!query) return { lat: null, lon: null, status: 'no_data' };
-  try {
-    const response = await fetch(`https://api-adresse.data.gouv.fr/search/?q=${encodeURIComponent(query)}&limit=1`);
-    const data = await response.json();
-    if (data.features?.length > 0) {
-      const [lon, lat] = data.features[0].geometry.coordinates;
-      return { lat, lon, status: 'success' };
+const MIN_COLUMN_WIDTH = 60;
+const EMPTY_CELL = <span className="text-gray-300">-</span>;
+const sortCollator = new Intl.Collator('fr', { numeric: true, sensitivity: 'base' });
+
+const isCloseRoute = (r) => r.durationSeconds && r.durationSeconds <= 1800;
+
+// Colonne d'un champ simple : `value` sert au tri, `format` à l'affichage
+const fieldColumn = (key, label, width, { value = (r) => r[key], format = (v) => v, mono = false } = {}) => ({
+  key, label, width, defaultVisible: false, sortValue: value,
+  render: (r) => {
+    const v = value(r);
+    if (!isFilledValue(v)) return EMPTY_CELL;
+    const text = String(format(v));
+    return <span className={`text-xs text-gray-600 ${mono ? 'font-mono' : ''}`} title={text}>{text}</span>;
+  }
+});
+
+// Colonnes composées historiques (visibles par défaut), puis tous les champs stockés
+const TABLE_COLUMNS = [
+  {
+    key: 'uniqueId', label: 'ID', width: 130, defaultVisible: true, sortValue: (r) => r.uniqueId,
+    render: (r, { showDuplicates, clusterById, onMerge }) => (
+      <>
+        <div className="font-mono text-xs text-blue-600 font-medium flex items-center gap-1">
+          {r.uniqueId}
+          {(r.idIssues?.length > 0 || r.apiStatus === 'mismatch') && (
+            <span title={[...(r.idIssues || []).map(i => ID_ISSUE_LABELS[i]), r.apiStatus === 'mismatch' && `API : entreprise différente (SIREN ${r.apiSirenFound})`].filter(Boolean).join(' • ')}>
+              <ShieldAlert className="w-3 h-3 text-red-500" />
+            </span>
+          )}
+        </div>
+        <div className="text-xs text-gray-400">{formatDate(r.createdAt)}</div>
+        {showDuplicates && clusterById.has(r.uniqueId) && (() => {
+          const { index, cluster } = clusterById.get(r.uniqueId);
+          return (
+            <button onClick={(e) => { e.stopPropagation(); onMerge(index); }} className="text-xs px-1 rounded bg-orange-100 text-orange-700 hover:bg-orange-200 flex items-center gap-1"
+              title={`${cluster.reasons.map(reason => formatDuplicateReason(reason, cluster.score)).join(' • ')} — cliquer pour fusionner`}>
+              <GitMerge className="w-3 h-3" />Groupe {index + 1}
+            </button>
+          );
+        })()}
+      </>
+    )
+  },
+  {
+    key: 'name', label: 'Nom', width: 170, defaultVisible: true, sortValue: (r) => r.name,
+    render: (r) => (
+      <>
+        <div className="font-medium text-gray-800 truncate">{r.name}</div>
+        <div className="text-xs text-gray-400 truncate">{[r.legalForm, r.category].filter(Boolean).join(' • ')}</div>
+      </>
+    )
+  },
+  {
+    key: 'address', label: 'Adresse', width: 170, defaultVisible: true, sortValue: (r) => r.address,
+    render: (r) => (
+      <>
+        <div className="text-xs text-gray-600 truncate">{r.address}</div>
+        <div className="font-mono text-xs text-blue-600 truncate">{r.postalCode} {r.city}</div>
+        {r.region && <div className="text-xs text-gray-400 truncate">{r.region} ({r.department})</div>}
+      </>
+    )
+  },
+  {
+    key: 'phones', label: 'Tél.', width: 150, defaultVisible: true, sortValue: (r) => r.phone || r.mobile,
+    render: (r) => [r.phone, r.mobile].filter(Boolean).map((p, i) => {
+      const type = PHONE_TYPES[getPhoneType(p)];
+      return (
+        <div key={i} className={`font-mono text-xs flex items-center gap-1 ${i ? 'text-green-600' : ''}`}>
+          {formatPhone(p)}
+          {type && <span className={`px-1 rounded font-sans text-[10px] ${type.className}`} title={type.label}>{type.short}</span>}
+        </div>
+      );
+    })
+  },
+  {
+    key: 'effectif', label: 'Effectif', width: 110, defaultVisible: true, sortValue: (r) => r.apiEffectifCode,
+    render: (r) => (r.apiEffectifCode ? (
+      <span className={`px-1.5 py-0.5 rounded text-xs ${SMALL_BUSINESS_CODES.includes(r.apiEffectifCode) ? 'bg-purple-200 text-purple-800 font-medium' : 'bg-gray-100'}`}>
+        {r.apiEffectifLabel || r.apiEffectifCode}
+      </span>
+    ) : EMPTY_CELL)
+  },
+  {
+    key: 'duration', label: 'Trajet', width: 90, defaultVisible: true, sortValue: (r) => r.durationSeconds || null,
+    render: (r) => (r.durationSeconds ? (
+      <div className={isCloseRoute(r) ? 'text-green-600 font-medium' : 'text-gray-600'}>
+        <div className="text-xs">{formatDuration(r.durationSeconds)}</div>
+        <div className="text-xs text-gray-400">{formatDistance(r.distanceMeters)}</div>
+      </div>
+    ) : EMPTY_CELL)
+  },
+  {
+    key: 'export', label: 'Export', width: 80, defaultVisible: true, sortValue: (r) => r.exportCount || 0,
+    render: (r) => (!r.lastExportedAt
+      ? <span className="px-1.5 py-0.5 bg-emerald-100 text-emerald-700 rounded text-xs">New</span>
+      : <div className="text-xs text-gray-500">{r.exportCount}x</div>)
+  },
+  {
+    key: 'pipelineStatus', label: 'Statut', width: 120, defaultVisible: true,
+    sortValue: (r, { pipelineStatuses }) => {
+      const index = pipelineStatuses.findIndex(st => st.key === r.pipelineStatus);
+      return index === -1 ? null : index;
+    },
+    render: (r, { pipelineStatuses }) => {
+      if (!r.pipelineStatus) return EMPTY_CELL;
+      const status = findPipelineStatus(pipelineStatuses, r.pipelineStatus);
+      const call = lastCall(r);
+      return (
+        <>
+          <span className={`px-1.5 py-0.5 rounded text-xs ${colorClassName(status?.color)}`}>{pipelineStatusLabel(pipelineStatuses, r.pipelineStatus)}</span>
+          {call && <div className="text-xs text-gray-400 mt-1">{formatDate(call.date)}</div>}
+        </>
+      );
     }
-    return { lat: null, lon: null, status: 'not_found' };
-  } catch { return { lat: null, lon: null, status: 'error' }; }
+  },
+  fieldColumn('lastCall', 'Dernier appel', 110, { value: (r) => lastCall(r)?.date, format: formatDateTime }),
+  fieldColumn('callCount', 'Nb appels', 80, { value: (r) => r.calls?.length || null }),
+  fieldColumn('postalCode', 'Code postal', 90, { mono: true }),
+  fieldColumn('city', 'Ville', 130),
+  fieldColumn('department', 'Département', 90),
+  fieldColumn('region', 'Région', 140),
+  fieldColumn('mobile', 'Mobile', 130, { format: formatPhone, mono: true }),
+  fieldColumn('phone2', 'Téléphone 3', 130, { format: formatPhone, mono: true }),
+  fieldColumn('email', 'Email', 180),
+  fieldColumn('website', 'Site web', 160),
+  fieldColumn('category', 'Catégorie', 130),
+  {
+    key: 'tags', label: 'Tags', width: 160, defaultVisible: true, sortValue: (r) => r.tags?.join(', '),
+    render: (r, { tagDefinitions }) => (r.tags?.length ? (
+      <div className="flex flex-wrap gap-1 max-h-14 overflow-hidden" title={r.tags.join(', ')}>
+        {r.tags.map(t => <TagChip key={t} name={t} definitions={tagDefinitions} />)}
+      </div>
+    ) : EMPTY_CELL)
+  },
+  fieldColumn('legalForm', 'Forme juridique', 110),
+  fieldColumn('siret', 'SIRET', 130, { mono: true }),
+  fieldColumn('siren', 'SIREN', 100, { mono: true }),
+  fieldColumn('naf', 'Code NAF', 90, { value: (r) => r.apiNaf || r.naf, mono: true }),
+  fieldColumn('capital', 'Capital', 100, { format: (v) => Number(v).toLocaleString('fr-FR') }),
+  fieldColumn('apiDirigeants', 'Dirigeants', 180),
+  fieldColumn('apiDateCreation', 'Création entreprise', 110, { format: formatDate }),
+  fieldColumn('distance', 'Distance', 90, { value: (r) => r.distanceMeters || null, format: formatDistance }),
+  fieldColumn('description', 'Description', 200),
+  fieldColumn('services', 'Services', 200),
+  fieldColumn('createdAt', 'Date import', 100, { format: formatDate }),
+  fieldColumn('lastExportedAt', 'Dernier export', 100, { format: formatDate }),
+  fieldColumn('sourceFile', 'Source', 160),
+  fieldColumn('aliases', 'Alias', 130, { value: (r) => r.aliases?.join(', '), mono: true })
+];
+
+const customColumnKey = (fieldKey) => `custom.${fieldKey}`;
+
+const customTableColumn = (f) => ({
+  key: customColumnKey(f.key), label: f.label, width: 120, defaultVisible: f.showInTable !== false, custom: true,
+  sortValue: (r) => {
+    const v = r.custom?.[f.key];
+    return f.type === 'boolean' && v !== null && v !== undefined ? Number(v) : v;
+  },
+  render: (r) => {
+    const text = formatCustomValue(r.custom?.[f.key], f.type);
+    return text ? <span className="text-xs text-gray-600" title={text}>{text}</span> : EMPTY_CELL;
+  }
+});
+
+// Toutes les colonnes disponibles, dans l'ordre par défaut (attributs personnalisés avant le trajet)
+const availableTableColumns = (customFields) => {
+  const routeIndex = TABLE_COLUMNS.findIndex(c => c.key === 'duration');
+  return [...TABLE_COLUMNS.slice(0, routeIndex), ...customFields.map(customTableColumn), ...TABLE_COLUMNS.slice(routeIndex)];
 };
 
-const calculateRoute = async (startLon, startLat, endLon, endLat) => {
-  try {
-    const response = await fetch(
-      `https://data.geopf.fr/navigation/itineraire?resource=bdtopo-osrm&profile=car&optimization=fastest&start=${startLon},${startLat}&end=${endLon},${endLat}`
-    );
-    const data = await response.json();
-    return { distance: data.distance, duration: data.duration, status: 'success' };
-  } catch { return { distance: null, duration: null, status: 'error' }; }
+// Disposition enregistrée { key, visible, width }[] appliquée aux colonnes disponibles ;
+// les colonnes qu'elle ne connaît pas encore (nouveaux champs personnalisés) sont ajoutées à la fin
+const resolveTableColumns = (layoutColumns, customFields) => {
+  const available = availableTableColumns(customFields);
+  const byKey = new Map(available.map(c => [c.key, c]));
+  const placed = (layoutColumns || [])
+    .filter(c => byKey.has(c.key))
+    .map(c => ({ ...byKey.get(c.key), visible: c.visible, width: c.width || byKey.get(c.key).width }));
+  const placedKeys = new Set(placed.map(c => c.key));
+  return [...placed, ...available.filter(c => !placedKeys.has(c.key)).map(c => ({ ...c, visible: c.defaultVisible }))];
 };
 
-const enrichFromAPI = async (record) => {
-  const searchQuery = record.siret || `${record.name} ${record.city}`.trim();
-  if (!searchQuery) return { apiEnriched: true, apiStatus: 'no_data' };
-  try {
-    const response = await fetch(
-      `https://recherche-entreprises.api.gouv.fr/search?q=${encodeURIComponent(searchQuery)}&page=1&per_page=1`
-    );
-    const result = await response.json();
-    if (result.results?.length > 0) {
-      const c = result.results[0];
-      return {
-        apiEnriched: true, apiStatus: 'success',
-        siren: c.siren,
-        siret: c.siege?.siret || record.siret,
-        apiEffectifCode: c.tranche_effectif_salarie,
-        apiEffectifLabel: EFFECTIF_LABELS[c.tranche_effectif_salarie],
-        apiNaf: c.activite_principale,
-        apiDateCreation: c.date_creation,
-        apiDirigeants: c.dirigeants?.map(d => `${d.prenoms} ${d.nom}`).join(', '),
-        lat: c.siege?.latitude ? parseFloat(c.siege.latitude) : record.lat,
-        lon: c.siege?.longitude ? parseFloat(c.siege.longitude) : record.lon,
-        geoStatus: c.siege?.latitude ? 'success' : record.geoStatus
-      };
-    }
-    return { apiEnriched: true, apiStatus: 'not_found' };
-  } catch { return { apiEnriched: true, apiStatus: 'error' }; }
+const toLayoutColumns = (columns) => columns.map(({ key, visible, width }) => ({ key, visible, width }));
+
+const defaultSortDir = (key) => (['createdAt', 'lastExportedAt', 'apiDateCreation', 'lastCall'].includes(key) ? 'desc' : 'asc');
+
+// Valeurs vides toujours en fin de liste, quel que soit le sens du tri ; `ctx` porte la config utile au tri (ordre des statuts)
+const sortByColumn = (records, column, dir, ctx) => {
+  const factor = dir === 'desc' ? -1 : 1;
+  return records
+    .map(r => [r, column.sortValue(r, ctx)])
+    .sort(([, a], [, b]) => {
+      const emptyA = !isFilledValue(a);
+      const emptyB = !isFilledValue(b);
+      if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+      return factor * (typeof a === 'number' && typeof b === 'number' ? a - b : sortCollator.compare(String(a), String(b)));
+    })
+    .map(([r]) => r);
 };
 
 // ============================================
-// COLUMN MAPPING MODAL
+// COLUMN CHOOSER MODAL
 // ============================================
-const ColumnMappingModal = ({ headers, initialMapping, onConfirm, onCancel, sampleData }) => {
-  const [mapping, setMapping] = useState(initialMapping);
+const ColumnChooser = ({ columns, layouts, onApply, onSaveLayout, onLoadLayout, onDeleteLayout, onReset, onClose }) => {
+  const [draft, setDraft] = useState(columns);
 
-  const fields = [
-    { key: 'uniqueId', label: 'ID Fiche', required: false, description: 'Identifiant unique existant' },
-    { key: 'name', label: 'Nom / Entreprise', required: true },
-    { key: 'address', label: 'Adresse', required: false },
-    { key: 'postalCode', label: 'Code Postal', required: true },
-    { key: 'city', label: 'Ville', required: false },
-    { key: 'phone', label: 'Téléphone', required: false },
-    { key: 'mobile', label: 'Mobile', required: false },
-    { key: 'email', label: 'Email', required: false },
-    { key: 'category', label: 'Catégorie/Rubrique', required: false },
-    { key: 'siret', label: 'SIRET', required: false },
-    { key: 'siren', label: 'SIREN', required: false },
-    { key: 'naf', label: 'Code NAF', required: false },
-    { key: 'effectifCode', label: 'Effectif (code)', required: false, description: 'Code INSEE: NN, 00, 01...' },
-    { key: 'effectifLabel', label: 'Effectif (libellé)', required: false },
-    { key: 'dirigeants', label: 'Dirigeants', required: false },
-    { key: 'dateCreation', label: 'Date création entreprise', required: false },
-    { key: 'description', label: 'Description', required: false },
-    { key: 'lat', label: 'Latitude', required: false },
-    { key: 'lon', label: 'Longitude', required: false },
-  ];
-
-  const getSampleValue = (header) => {
-    if (!header || !sampleData.length) return '';
-    const val = sampleData[0][header];
-    if (val === undefined || val === null) return '';
-    return String(val).slice(0, 50);
+  const update = (key, changes) => setDraft(list => list.map(c => c.key === key ? { ...c, ...changes } : c));
+  const move = (index, delta) => setDraft(list => {
+    const next = [...list];
+    const [column] = next.splice(index, 1);
+    next.splice(index + delta, 0, column);
+    return next;
+  });
+  const saveAs = () => {
+    const name = prompt('Nom de la disposition :', '');
+    if (name?.trim()) onSaveLayout(name.trim(), draft);
   };
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
-      <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
-        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-4 flex items-center gap-3 z-10">
           <Columns className="w-6 h-6 text-blue-600" />
-          <h2 className="text-xl font-bold text-gray-800">Configuration des colonnes</h2>
+          <h2 className="text-xl font-bold text-gray-800 flex-1">Colonnes du tableau</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
         </div>
 
-        <div className="p-4">
-          <p className="text-sm text-gray-600 mb-4">
-            Associez chaque champ à la colonne correspondante dans votre fichier.
-            Les colonnes détectées automatiquement sont pré-remplies.
-          </p>
-
-          <div className="grid gap-3">
-            {fields.map(field => (
-              <div key={field.key} className="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-50">
-                <div className="w-48 flex-shrink-0">
-                  <div className="font-medium text-sm text-gray-700">
-                    {field.label}
-                    {field.required && <span className="text-red-500 ml-1">*</span>}
-                  </div>
-                  {field.description && (
-                    <div className="text-xs text-gray-400">{field.description}</div>
-                  )}
-                </div>
-                <ArrowRight className="w-4 h-4 text-gray-400" />
-                <select
-                  value={mapping[field.key] || ''}
-                  onChange={(e) => setMapping(m => ({ ...m, [field.key]: e.target.value || null }))}
-                  className={`flex-1 border rounded-lg px-3 py-2 text-sm ${mapping[field.key] ? 'border-green-300 bg-green-50' : ''
-                    }`}
-                >
-                  <option value="">-- Non mappé --</option>
-                  {headers.map(h => (
-                    <option key={h} value={h}>{h}</option>
-                  ))}
-                </select>
-                {mapping[field.key] && (
-                  <div className="w-40 text-xs text-gray-500 truncate bg-gray-100 px-2 py-1 rounded">
-                    Ex: {getSampleValue(mapping[field.key]) || '(vide)'}
-                  </div>
-                )}
+        <div className="p-4 border-b space-y-2">
+          <div className="text-sm font-medium text-gray-700 flex items-center gap-2"><Bookmark className="w-4 h-4" /> Dispositions enregistrées</div>
+          {!layouts.length && <p className="text-xs text-gray-400">Aucune disposition enregistrée.</p>}
+          <div className="flex flex-wrap gap-2">
+            {layouts.map(l => (
+              <div key={l.id} className="flex items-center rounded-lg bg-gray-100 text-sm">
+                <button onClick={() => onLoadLayout(l)} className="px-3 py-1 hover:bg-gray-200 rounded-l-lg">{l.name}</button>
+                <button onClick={() => confirm(`Supprimer la disposition « ${l.name} » ?`) && onDeleteLayout(l.id)}
+                  className="px-2 py-1 text-red-400 hover:text-red-600" title="Supprimer">
+                  <X className="w-3 h-3" />
+                </button>
               </div>
             ))}
           </div>
         </div>
 
+        <div className="p-4 space-y-1">
+          {draft.map((c, i) => (
+            <div key={c.key} className={`flex items-center gap-2 text-sm ${c.visible ? '' : 'text-gray-400'}`}>
+              <input type="checkbox" checked={c.visible} onChange={(e) => update(c.key, { visible: e.target.checked })} />
+              <span className={`flex-1 truncate ${c.custom ? 'text-purple-600' : ''}`}>{c.label}</span>
+              <input type="number" min={MIN_COLUMN_WIDTH} step={10} value={c.width}
+                onChange={(e) => update(c.key, { width: Math.max(MIN_COLUMN_WIDTH, Number(e.target.value) || MIN_COLUMN_WIDTH) })}
+                className="w-20 border rounded px-2 py-0.5 text-xs" title="Largeur (px)" />
+              <button onClick={() => move(i, -1)} disabled={i === 0} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => move(i, 1)} disabled={i === draft.length - 1} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                <ChevronDown className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
         <div className="sticky bottom-0 bg-white border-t p-4 flex gap-3">
-          <button
-            onClick={onCancel}
-            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
-          >
-            Annuler
+          <button onClick={onReset} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+            Par défaut
           </button>
-          <button
-            onClick={() => onConfirm(mapping)}
-            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2"
-          >
-            <Check className="w-4 h-4" />
-            Confirmer le mapping
+          <button onClick={saveAs} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center gap-2">
+            <Save className="w-4 h-4" /> Enregistrer sous…
+          </button>
+          <span className="flex-1" />
+          <button onClick={() => onApply(draft)} disabled={!draft.some(c => c.visible)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2">
+            <Check className="w-4 h-4" /> Appliquer
           </button>
         </div>
       </div>
@@ -350,6 +3761,8 @@ const ColumnMappingModal = ({ headers, initialMapping, onConfirm, onCancel, samp
 // ============================================
 // MAIN COMPONENT
 // ============================================
+const EMPTY_IMPORT_PREVIEW = { show: false, data: [], duplicates: [], newRecords: [], hasExistingIds: false, validation: [] };
+
 export default function DatabaseManager() {
   const [data, setData] = useState([]);
   const [exports, setExports] = useState([]);
@@ -360,10 +3773,44 @@ export default function DatabaseManager() {
   const [filters, setFilters] = useState({
     postalCode: '', city: '', category: '', search: '',
     onlySmallBusiness: false, maxDuration: 0,
-    exportDate: '', onlyNew: false, onlyExported: false
+    exportDate: '', onlyNew: false, onlyExported: false, onlyIdIssues: false,
+    customField: '', customOp: 'contains', customValue: '',
+    tags: [], tagMode: 'any', pipelineStatus: ''
   });
   const [showDuplicates, setShowDuplicates] = useState(false);
+  const [fuzzyThreshold, setFuzzyThreshold] = useState(DEFAULT_FUZZY_THRESHOLD);
+  const [mergeIndex, setMergeIndex] = useState(null);
+  const [mergeRule, setMergeRule] = useState(DEFAULT_SURVIVORSHIP_RULE);
+  const [updatePolicies, setUpdatePolicies] = useState(DEFAULT_UPDATE_POLICIES);
+  const [rejectedUpdates, setRejectedUpdates] = useState(new Set());
+  const [duplicateActions, setDuplicateActions] = useState([]);
+  const [journal, setJournal] = useState([]);
+  // Dernier état connu, à jour dès l'écriture : les opérations enchaînées (Tout traiter) ne repartent pas d'un rendu périmé
+  const dataRef = useRef([]);
+  const journalRef = useRef([]);
+  const [showJournal, setShowJournal] = useState(false);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [detailId, setDetailId] = useState(null);
+  const [showNewContact, setShowNewContact] = useState(false);
+  const [pageSize, setPageSize] = useState(0);
+  const [page, setPage] = useState(0);
+  const [tableScroll, setTableScroll] = useState({ top: 0, height: 0 });
+  const [jumpId, setJumpId] = useState('');
+  const [highlightId, setHighlightId] = useState(null);
+  const tableRef = useRef(null);
+  const [trash, setTrash] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
   const [sortBy, setSortBy] = useState('createdAt');
+  const [sortDir, setSortDir] = useState('desc');
+  const [columnLayout, setColumnLayout] = useState(null);
+  const [tableLayouts, setTableLayouts] = useState([]);
+  const [showColumnChooser, setShowColumnChooser] = useState(false);
+  const [tagDefinitions, setTagDefinitions] = useState([]);
+  const [pipelineStatuses, setPipelineStatuses] = useState(DEFAULT_PIPELINE_STATUSES);
+  const [showPipeline, setShowPipeline] = useState(false);
+  const [showTags, setShowTags] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const selectionAnchor = useRef(null);
 
   const [startPoint, setStartPoint] = useState({ address: '', lat: null, lon: null, status: null });
   const [startInput, setStartInput] = useState('');
@@ -371,26 +3818,64 @@ export default function DatabaseManager() {
   const [processing, setProcessing] = useState({ type: null, current: 0, total: 0 });
 
   // Import states
-  const [pendingImport, setPendingImport] = useState(null); // { rawData, headers, fileName }
+  const [pendingImport, setPendingImport] = useState(null); // { rawData, rowSources, headers, fileName }
+  const [pendingWorkbook, setPendingWorkbook] = useState(null); // { fileName, sheets }
   const [showMappingModal, setShowMappingModal] = useState(false);
-  const [importPreview, setImportPreview] = useState({ show: false, data: [], duplicates: [], newRecords: [], hasExistingIds: false });
+  const [importPreview, setImportPreview] = useState(EMPTY_IMPORT_PREVIEW);
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [showCustomFields, setShowCustomFields] = useState(false);
 
   // Load from DB
   useEffect(() => {
     const load = async () => {
       try {
-        const [contacts, exportHistory, counter, prefix, savedStart] = await Promise.all([
+        const [contacts, exportHistory, counter, prefix, savedStart, profiles, savedCustomFields, savedThreshold, savedMergeRule, savedPolicies, journalEntries, trashItems, savedPageSize, savedTableLayout, savedTableLayouts, savedTagDefinitions, savedPipelineStatuses] = await Promise.all([
           dbOps.getAll('contacts'),
           dbOps.getAll('exports'),
           dbOps.getConfig('idCounter'),
           dbOps.getConfig('idPrefix'),
-          dbOps.getConfig('startPoint')
+          dbOps.getConfig('startPoint'),
+          dbOps.getConfig('mappingProfiles'),
+          dbOps.getConfig('customFields'),
+          dbOps.getConfig('fuzzyThreshold'),
+          dbOps.getConfig('mergeRule'),
+          dbOps.getConfig('updatePolicies'),
+          dbOps.getAll('journal'),
+          dbOps.getAll('trash'),
+          dbOps.getConfig('pageSize'),
+          dbOps.getConfig('tableLayout'),
+          dbOps.getConfig('tableLayouts'),
+          dbOps.getConfig('tagDefinitions'),
+          dbOps.getConfig('pipelineStatuses')
         ]);
-        setData(contacts || []);
+        // Fiches antérieures aux contrôles d'identifiants et aux téléphones E.164
+        applyData((contacts || []).map(r => ({
+          ...r,
+          phone: normalizePhone(r.phone) || r.phone,
+          mobile: normalizePhone(r.mobile) || r.mobile,
+          phone2: normalizePhone(r.phone2) || r.phone2,
+          idIssues: r.idIssues || checkIdentifiers(r)
+        })));
         setExports(exportHistory || []);
         if (counter) setIdCounter(counter);
         if (prefix) setIdPrefix(prefix);
         if (savedStart) { setStartPoint(savedStart); setStartInput(savedStart.address || ''); }
+        if (profiles) setMappingProfiles(profiles);
+        if (savedCustomFields) setCustomFields(savedCustomFields);
+        if (savedThreshold) setFuzzyThreshold(savedThreshold);
+        if (savedMergeRule) setMergeRule(savedMergeRule);
+        if (savedPolicies) setUpdatePolicies({ ...DEFAULT_UPDATE_POLICIES, ...savedPolicies });
+        applyJournal((journalEntries || []).sort((a, b) => b.id - a.id));
+        setTrash(trashItems || []);
+        if (savedPageSize) setPageSize(savedPageSize);
+        if (savedTableLayout) {
+          setColumnLayout(savedTableLayout.columns || null);
+          if (savedTableLayout.sortBy) { setSortBy(savedTableLayout.sortBy); setSortDir(savedTableLayout.sortDir || defaultSortDir(savedTableLayout.sortBy)); }
+        }
+        if (savedTableLayouts) setTableLayouts(savedTableLayouts);
+        if (savedTagDefinitions) setTagDefinitions(savedTagDefinitions);
+        if (savedPipelineStatuses) setPipelineStatuses(savedPipelineStatuses);
       } catch (e) { console.error('Load error:', e); }
       setIsLoading(false);
     };
@@ -401,24 +3886,156 @@ export default function DatabaseManager() {
     try { await dbOps.putMany('contacts', newData); } catch (e) { console.error('Save error:', e); }
   }, []);
 
+  const saveHistory = async (beforeRecords, afterRecords, origin) => {
+    try { await dbOps.putMany('history', buildHistoryEntries(beforeRecords, afterRecords, origin)); } catch (e) { console.error('History error:', e); }
+  };
+
+  // Toute modification de la base passe par ici : sauvegarde, historique des fiches et entrée de journal pour pouvoir l'annuler
+  const applyData = (newData) => {
+    dataRef.current = newData;
+    setData(newData);
+  };
+
+  const applyJournal = (entries) => {
+    journalRef.current = entries;
+    setJournal(entries);
+  };
+
+  // update : nouvelle liste, ou fonction appliquée au dernier état connu (avant et après viennent alors du même état)
+  const commitData = async (update, { label, source, detail = null, before = dataRef.current, exportsAdded = [], exportsRemoved = [], trashAdded = [], trashRemoved = [] }) => {
+    const newData = typeof update === 'function' ? update(before) : update;
+    const diff = diffForJournal(before, newData);
+    applyData(newData);
+    await saveData(newData);
+    await saveHistory(before, newData, { source, detail });
+    if (diff.removedIds.length) {
+      if (!newData.length) await dbOps.clear('contacts');
+      else await dbOps.deleteMany('contacts', diff.removedIds);
+    }
+    if (trashAdded.length || trashRemoved.length) {
+      await dbOps.deleteMany('trash', trashRemoved.map(t => t.uniqueId));
+      await dbOps.putMany('trash', trashAdded);
+      const removedFromTrash = new Set(trashRemoved.map(t => t.uniqueId));
+      setTrash(prev => [...prev.filter(t => !removedFromTrash.has(t.uniqueId)), ...trashAdded]);
+    }
+    if (!diff.before.length && !diff.createdIds.length && !exportsAdded.length && !exportsRemoved.length) return;
+
+    const entry = {
+      date: new Date().toISOString(), label, undone: false,
+      before: diff.before, createdIds: diff.createdIds, exportsAdded, exportsRemoved,
+      trashAdded: trashAdded.map(t => t.uniqueId), trashRemoved,
+      summary: { created: diff.createdIds.length, removed: diff.removedIds.length, updated: diff.before.length - diff.removedIds.length }
+    };
+    try {
+      entry.id = await dbOps.put('journal', entry);
+      const kept = [entry, ...journalRef.current];
+      applyJournal(kept.slice(0, JOURNAL_LIMIT));
+      const dropped = kept.slice(JOURNAL_LIMIT);
+      if (dropped.length) await dbOps.deleteMany('journal', dropped.map(e => e.id));
+    } catch (e) { console.error('Journal error:', e); }
+  };
+
+  const undoOperation = async (entry) => {
+    const later = journalRef.current.filter(e => e.id > entry.id && !e.undone).length;
+    const warning = later ? `\n\n${later} opération(s) plus récente(s) : leurs modifications sur ces fiches seront perdues.` : '';
+    if (!window.confirm(`Annuler « ${entry.label} » du ${formatDateTime(entry.date)} ?${warning}`)) return;
+
+    const before = dataRef.current;
+    const newData = rollbackJournalEntry(before, entry);
+    applyData(newData);
+    await saveData(newData);
+    await saveHistory(before, newData, { source: 'undo', detail: entry.label });
+    if (entry.createdIds.length) await dbOps.deleteMany('contacts', entry.createdIds);
+
+    if (entry.exportsAdded.length || entry.exportsRemoved.length) {
+      await dbOps.deleteMany('exports', entry.exportsAdded);
+      await dbOps.putMany('exports', entry.exportsRemoved);
+      setExports(prev => [...prev.filter(e => !entry.exportsAdded.includes(e.id)), ...entry.exportsRemoved]);
+    }
+
+    // Corbeille : retirer ce que l'opération y a mis, y remettre ce qu'elle en a sorti
+    const trashAdded = entry.trashAdded || [];
+    const trashRemoved = entry.trashRemoved || [];
+    if (trashAdded.length || trashRemoved.length) {
+      await dbOps.deleteMany('trash', trashAdded);
+      await dbOps.putMany('trash', trashRemoved);
+      setTrash(prev => [...prev.filter(t => !trashAdded.includes(t.uniqueId)), ...trashRemoved]);
+    }
+
+    const undone = { ...entry, undone: true, undoneAt: new Date().toISOString() };
+    await dbOps.put('journal', undone);
+    applyJournal(journalRef.current.map(e => (e.id === entry.id ? undone : e)));
+  };
+
   const updateIdCounter = useCallback(async (c) => {
     setIdCounter(c);
     await dbOps.setConfig('idCounter', c);
   }, []);
 
-  // Create record from row with mapping
-  const createRecord = useCallback((row, mapping, sourceFile, counter, keepExistingId = false) => {
-    const get = (key) => {
-      const col = mapping[key];
-      if (!col) return null;
-      const val = row[col];
-      return val !== undefined && val !== null && val !== '' ? val : null;
+  // Mapping profiles
+  const saveMappingProfiles = useCallback(async (profiles) => {
+    setMappingProfiles(profiles);
+    await dbOps.setConfig('mappingProfiles', profiles);
+  }, []);
+
+  const saveMappingProfile = async ({ id, name, mapping, customColumns, transforms }) => {
+    const profile = {
+      id: id || createProfileId(),
+      name,
+      signature: pendingImport.signature,
+      headers: pendingImport.headers,
+      mapping,
+      customColumns,
+      transforms,
+      updatedAt: new Date().toISOString()
     };
+    // Une structure de fichier ne peut être rattachée qu'à un seul profil
+    const others = mappingProfiles
+      .filter(p => p.id !== profile.id)
+      .map(p => p.signature === profile.signature ? { ...p, signature: null } : p);
+    await saveMappingProfiles([...others, profile]);
+    return profile.id;
+  };
+
+  const renameMappingProfile = async (id, name) => {
+    await saveMappingProfiles(mappingProfiles.map(p => p.id === id ? { ...p, name, updatedAt: new Date().toISOString() } : p));
+  };
+
+  const deleteMappingProfile = async (id) => {
+    await saveMappingProfiles(mappingProfiles.filter(p => p.id !== id));
+  };
+
+  // Custom fields
+  const saveCustomFields = useCallback(async (fields) => {
+    setCustomFields(fields);
+    await dbOps.setConfig('customFields', fields);
+  }, []);
+
+  // Tags : définitions (couleurs) en config, tags des fiches dans chaque fiche
+  const saveTagDefinitions = useCallback(async (definitions) => {
+    setTagDefinitions(definitions);
+    await dbOps.setConfig('tagDefinitions', definitions);
+  }, []);
+
+  const registerTags = async (names) => {
+    const next = withTagDefinitions(tagDefinitions, names);
+    if (next !== tagDefinitions) await saveTagDefinitions(next);
+  };
+
+  // Create record from row with mapping
+  // extras.customColumns : { colonne du fichier -> { key, type } } pour les attributs personnalisés
+  // extras.transforms : { champ -> règle de transformation } définies à l'étape de mapping
+  const createRecord = useCallback((row, mapping, sourceFile, counter, keepExistingId = false, { customColumns = {}, transforms = {} } = {}) => {
+    const get = (key) => readMappedValue(row, mapping, transforms, key);
 
     // Si la fiche a déjà un ID et qu'on veut le garder
     const existingId = get('uniqueId');
     const uniqueId = (keepExistingId && existingId) ? String(existingId) : generateUniqueId(idPrefix, counter);
 
+    // Identifiants : SIREN déduit du SIRET s'il manque
+    const siret = normalizeSiret(get('siret'));
+    const siren = normalizeSiren(get('siren')) || deriveSiren(siret);
+
     // Récupérer le code postal correctement
     const rawPostalCode = get('postalCode');
     const postalCode = normalizePostalCode(rawPostalCode);
@@ -441,6 +4058,7 @@ export default function DatabaseManager() {
     // Si on a un code, s'assurer qu'il est au bon format
     if (effectifCode) {
       effectifCode = String(effectifCode).trim().toUpperCase();
+      if (/^\d$/.test(effectifCode)) effectifCode = effectifCode.padStart(2, '0');
       if (!effectifLabel) effectifLabel = EFFECTIF_LABELS[effectifCode];
     }
 
@@ -450,75 +4068,141 @@ export default function DatabaseManager() {
       address: get('address'),
       postalCode,
       city: get('city'),
+      department: normalizeDepartment(get('department')) || departmentFromPostalCode(postalCode),
+      region: get('region'),
       phone: normalizePhone(get('phone')),
       mobile: normalizePhone(get('mobile')),
       phone2: normalizePhone(get('phone2')),
       email: get('email'),
       website: get('website'),
       category: get('category'),
-      siret: get('siret') ? String(get('siret')).replace(/\D/g, '') : null,
-      siren: get('siren') ? String(get('siren')).replace(/\D/g, '') : null,
+      siret,
+      siren,
+      idIssues: checkIdentifiers({ siret, siren }),
       naf: get('naf'),
+      legalForm: get('legalForm') ? String(get('legalForm')).trim() : null,
+      capital: parseDecimal(get('capital')),
       description: get('description'),
       services: get('services'),
-      sourceFile,
-      createdAt: get('createdAt') || new Date().toISOString(),
+      sourceFile: get('sourceFile') || sourceFile,
+      createdAt: parseDateTime(get('createdAt')) || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      lastExportedAt: get('lastExportedAt') || null,
+      lastExportedAt: parseDateTime(get('lastExportedAt')),
       exportCount: parseInt(get('exportCount')) || 0,
+      aliases: get('aliases') ? String(get('aliases')).split(/[,;\s]+/).filter(Boolean) : [],
+      tags: parseTags(get('tags')),
+      pipelineStatus: resolvePipelineStatus(pipelineStatuses, get('pipelineStatus')),
+      calls: [],
       // Enrichissement - garder les données existantes ou initialiser
       apiEnriched: !!(effectifCode || get('lat')),
       apiStatus: (effectifCode || get('lat')) ? 'imported' : null,
       apiEffectifCode: effectifCode || null,
       apiEffectifLabel: effectifLabel || null,
       apiNaf: get('naf'),
-      apiDateCreation: get('dateCreation'),
+      apiDateCreation: get('dateCreation') ? toISODate(get('dateCreation')) || String(get('dateCreation')) : null,
       apiDirigeants: get('dirigeants'),
-      lat: get('lat') ? parseFloat(get('lat')) : null,
-      lon: get('lon') ? parseFloat(get('lon')) : null,
+      lat: parseDecimal(get('lat')),
+      lon: parseDecimal(get('lon')),
       geoStatus: get('lat') ? 'imported' : null,
-      distanceMeters: null,
-      durationSeconds: null,
-      routeStatus: null
+      distanceMeters: parseDecimal(get('distanceKm')) !== null ? parseDecimal(get('distanceKm')) * 1000 : null,
+      durationSeconds: parseDecimal(get('durationMin')) !== null ? parseDecimal(get('durationMin')) * 60 : null,
+      routeStatus: get('durationMin') ? 'imported' : null,
+      custom: Object.fromEntries(Object.entries(customColumns)
+        .map(([col, { key, type }]) => [key, coerceCustomValue(row[col], type)])
+        .filter(([, v]) => v !== null))
     };
-  }, [idPrefix]);
+  }, [idPrefix, pipelineStatuses]);
 
-  // Detect duplicates
+  // Detect duplicates (exact ID / SIRET / téléphone, puis nom + adresse similaires dans le même code postal)
+  // Les fiches mises à la corbeille sont signalées pour ne pas être ré-importées par mégarde
   const findDuplicates = useCallback((newRecords) => {
-    const existingPhones = new Set();
-    const existingSirets = new Set();
-    const existingIds = new Set();
-
-    data.forEach(r => {
-      if (r.phone) existingPhones.add(r.phone);
-      if (r.mobile) existingPhones.add(r.mobile);
-      if (r.siret) existingSirets.add(r.siret);
-      if (r.uniqueId) existingIds.add(r.uniqueId);
-    });
-
+    const live = createDuplicateIndex(data);
+    const trashed = createDuplicateIndex(trash);
     const duplicates = [];
     const unique = [];
 
     newRecords.forEach(record => {
-      const isDuplicateById = existingIds.has(record.uniqueId);
-      const isDuplicateByPhone =
-        (record.phone && existingPhones.has(record.phone)) ||
-        (record.mobile && existingPhones.has(record.mobile));
-      const isDuplicateBySiret = record.siret && existingSirets.has(record.siret);
-
-      if (isDuplicateById || isDuplicateByPhone || isDuplicateBySiret) {
-        duplicates.push({ ...record, duplicateReason: isDuplicateById ? 'ID' : (isDuplicateBySiret ? 'SIRET' : 'Téléphone') });
+      let match = live.match(record, fuzzyThreshold);
+      if (!match) {
+        const trashMatch = trashed.match(record, fuzzyThreshold);
+        if (trashMatch) match = { ...trashMatch, duplicateReason: 'Corbeille', trashMatchReason: trashMatch.duplicateReason };
+      }
+
+      if (match) {
+        duplicates.push({ ...record, ...match });
       } else {
         unique.push(record);
-        if (record.phone) existingPhones.add(record.phone);
-        if (record.mobile) existingPhones.add(record.mobile);
-        if (record.siret) existingSirets.add(record.siret);
-        existingIds.add(record.uniqueId);
+        live.add(record);
       }
     });
 
     return { duplicates, unique };
-  }, [data]);
+  }, [data, trash, fuzzyThreshold]);
+
+  // Handle file upload - step 2: merge selected sheets and open the mapping
+  const buildPendingImport = (fileName, sheets, csv = null) => {
+    const tagSheets = sheets.some(s => s.multiSheet);
+    const rawData = [];
+    const rowSources = [];
+    const rowLines = [];
+    const headers = [];
+
+    sheets.forEach(sheet => {
+      sheet.headers.forEach(h => { if (!headers.includes(h)) headers.push(h); });
+      sheet.rows.forEach((row, i) => {
+        rawData.push(row);
+        rowSources.push(tagSheets ? `${fileName}#${sheet.name}` : fileName);
+        rowLines.push(sheet.lines[i]);
+      });
+    });
+
+    if (!rawData.length) return null;
+
+    const signature = getHeaderSignature(headers);
+    const profile = mappingProfiles.find(p => p.signature === signature);
+    // Les colonnes portant le libellé d'un champ personnalisé lui reviennent (ré-import d'un export)
+    const customLabels = new Set(customFields.map(f => normalizeLabel(f.label)));
+    const detection = detectColumns(headers.filter(h => !customLabels.has(normalizeLabel(h))), rawData);
+    const autoMapping = profile ? applyProfileMapping(profile.mapping, headers) : detection.mapping;
+
+    return {
+      fileName, sheets, csv, rawData, rowSources, rowLines, headers, autoMapping, detection, signature,
+      profileId: profile?.id || null, customColumns: profile?.customColumns || {}, transforms: profile?.transforms || {}
+    };
+  };
+
+  const startMapping = (fileName, sheets, csv = null) => {
+    const pending = buildPendingImport(fileName, sheets, csv);
+    if (!pending) {
+      alert('Fichier vide ou format non reconnu');
+      return;
+    }
+    setPendingImport(pending);
+    setShowMappingModal(true);
+  };
+
+  // Choix manuel de la ligne d'en-tête / première ligne de données depuis l'aperçu brut
+  const changeSheetLayout = (sheetName, layout) => {
+    const sheets = pendingImport.sheets.map(s => s.name === sheetName ? layoutSheet(s, layout) : s);
+    const pending = buildPendingImport(pendingImport.fileName, sheets, pendingImport.csv);
+    if (!pending) {
+      alert('Aucune ligne de données avec cette configuration');
+      return;
+    }
+    setPendingImport(pending);
+  };
+
+  // Changement manuel de l'encodage / séparateur / guillemets : relire le CSV
+  const changeCsvOptions = (options) => {
+    const { buffer, detected } = pendingImport.csv;
+    const sheet = layoutSheet({ name: 'CSV', grid: readCsvGrid(buffer, options), multiSheet: false });
+    const pending = buildPendingImport(pendingImport.fileName, [sheet], { ...options, buffer, detected });
+    if (!pending) {
+      alert('Aucune ligne de données avec ces paramètres');
+      return;
+    }
+    setPendingImport(pending);
+  };
 
   // Handle file upload - step 1: read file
   const handleFileUpload = (e) => {
@@ -527,84 +4211,213 @@ export default function DatabaseManager() {
 
     const reader = new FileReader();
     reader.onload = (evt) => {
-      const wb = XLSX.read(evt.target.result, { type: 'binary' });
-      const ws = wb.Sheets[wb.SheetNames[0]];
-      const rawData = XLSX.utils.sheet_to_json(ws, { defval: null });
+      const buffer = evt.target.result;
 
-      if (!rawData.length) {
-        alert('Fichier vide ou format non reconnu');
+      // CSV : lecture dédiée (encodage, séparateur et guillemets détectés)
+      if (isCsvFile(file.name)) {
+        const detected = sniffCsv(buffer);
+        const sheet = layoutSheet({ name: 'CSV', grid: readCsvGrid(buffer, detected), multiSheet: false });
+        startMapping(file.name, [sheet], { ...detected, buffer, detected });
         return;
       }
 
-      const headers = Object.keys(rawData[0]);
-      const autoMapping = detectColumns(headers);
+      const wb = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+      const multiSheet = wb.SheetNames.length > 1;
+      const sheets = wb.SheetNames.map(name => layoutSheet({
+        name,
+        grid: XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: null, blankrows: true }),
+        multiSheet
+      }));
+
+      if (!sheets.some(s => s.rows.length)) {
+        alert('Fichier vide ou format non reconnu');
+        return;
+      }
 
-      setPendingImport({ rawData, headers, fileName: file.name, autoMapping });
-      setShowMappingModal(true);
+      // Classeur à plusieurs onglets : laisser choisir le(s) onglet(s) à importer
+      if (multiSheet) setPendingWorkbook({ fileName: file.name, sheets });
+      else startMapping(file.name, sheets);
     };
-    reader.readAsBinaryString(file);
+    reader.readAsArrayBuffer(file);
     e.target.value = '';
   };
 
   // Handle mapping confirmation
-  const handleMappingConfirm = (mapping) => {
+  const handleMappingConfirm = (mapping, { customColumns = {}, transforms = {} } = {}) => {
     setShowMappingModal(false);
 
-    const { rawData, fileName } = pendingImport;
+    const { rawData, rowSources, rowLines } = pendingImport;
     let currentCounter = idCounter;
 
+    // Déclarer les nouveaux champs personnalisés et résoudre colonne -> champ
+    const fieldDefs = [...customFields];
+    const resolvedColumns = {};
+    Object.entries(customColumns).forEach(([col, cfg]) => {
+      if (cfg.target === 'ignore') return;
+      let def = fieldDefs.find(f => f.key === cfg.target)
+        || (cfg.target === 'new' && fieldDefs.find(f => normalizeLabel(f.label) === normalizeLabel(col)));
+      if (!def) {
+        def = { key: createCustomFieldKey(col, fieldDefs), label: col, type: cfg.type || 'text', showInTable: true };
+        fieldDefs.push(def);
+      }
+      resolvedColumns[col] = { key: def.key, type: def.type };
+    });
+    // Les nouveaux champs ne sont enregistrés qu'à la confirmation de l'import
+
     // Vérifier si le fichier contient des IDs existants
     const hasExistingIds = mapping.uniqueId && rawData.some(row => row[mapping.uniqueId]);
 
-    const records = rawData.map(row => {
-      const record = createRecord(row, mapping, fileName, currentCounter, hasExistingIds);
-      if (!hasExistingIds || !row[mapping.uniqueId]) {
+    // Créer et contrôler chaque ligne ; les lignes en erreur sont rejetées (sans consommer de numéro d'ID)
+    const entries = rawData.map((row, i) => {
+      const record = createRecord(row, mapping, rowSources[i], currentCounter, hasExistingIds, { customColumns: resolvedColumns, transforms });
+      const issues = validateImportRow(record, (key) => readMappedValue(row, mapping, transforms, key));
+      if (!isRejected(issues) && (!hasExistingIds || !row[mapping.uniqueId])) {
         currentCounter++;
       }
-      return record;
-    }).filter(r => r.name || r.phone || r.siret); // Filtrer les lignes vides
+      return { record, row, issues, line: rowLines[i], source: rowSources[i] };
+    });
+    const records = entries.filter(e => !isRejected(e.issues)).map(e => e.record);
 
     const { duplicates, unique } = findDuplicates(records);
 
+    setRejectedUpdates(new Set());
+    setDuplicateActions(duplicates.map(() => 'skip'));
     setImportPreview({
       show: true,
       data: records,
       duplicates,
       newRecords: unique,
       hasExistingIds,
-      nextCounter: currentCounter
+      fileIds: hasExistingIds ? entries.filter(e => !isRejected(e.issues) && e.row[mapping.uniqueId]).map(e => e.record.uniqueId) : [],
+      nextCounter: currentCounter,
+      validation: entries.filter(e => e.issues.length),
+      fileName: pendingImport.fileName,
+      customFields: fieldDefs.length !== customFields.length ? fieldDefs : null
     });
 
     setPendingImport(null);
   };
 
+  // Télécharger les lignes rejetées ou en avertissement, avec une colonne "Erreur", pour correction et ré-import
+  const downloadRejects = () => {
+    const rows = importPreview.validation.map(e => ({
+      ...e.row,
+      [REJECTS_ERROR_COLUMN]: e.issues.map(i => `${VALIDATION_RULES[i.rule].level === 'error' ? '[REJET] ' : ''}${i.message}`).join(' ; ')
+    }));
+    const ws = XLSX.utils.json_to_sheet(rows);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Rejets');
+    const base = (importPreview.fileName || 'import').replace(/\.[^.]+$/, '');
+    XLSX.writeFile(wb, `${base}_rejets_${new Date().toISOString().slice(0, 10)}.xlsx`);
+  };
+
   // Confirm import
+  // Mise à jour : plan par fiche existante (ID ou alias d'une fiche fusionnée), appliqué dans l'ordre du fichier
+  const updatePlans = useMemo(() => {
+    if (!importPreview.show || !importPreview.hasExistingIds) return [];
+    const current = new Map(data.map(r => [r.uniqueId, r]));
+    const aliasIndex = buildAliasIndex(data);
+    const plans = new Map();
+    // Les lignes correspondant à une fiche de la corbeille ne sont pas ré-ajoutées
+    const trashed = new Set(importPreview.duplicates.filter(d => d.duplicateReason === 'Corbeille').map(d => d.uniqueId));
+    importPreview.data.forEach(r => {
+      const targetId = aliasIndex.get(r.uniqueId) || r.uniqueId;
+      const existing = current.get(targetId);
+      if (!existing) {
+        if (trashed.has(r.uniqueId)) return;
+        plans.set(r.uniqueId, { record: r, existing: null, changes: [] });
+        return;
+      }
+      const previous = plans.get(targetId);
+      const { record, changes } = planUpdate(existing, { ...r, uniqueId: targetId }, updatePolicies);
+      current.set(targetId, record);
+      plans.set(targetId, { record, existing: previous?.existing || existing, changes: [...(previous?.changes || []), ...changes] });
+    });
+    return [...plans.values()];
+  }, [importPreview, data, updatePolicies]);
+
+  const changeUpdatePolicy = async (key, policy) => {
+    const next = { ...updatePolicies, [key]: policy };
+    setUpdatePolicies(next);
+    await dbOps.setConfig('updatePolicies', next);
+  };
+
+  const toggleUpdate = (id) => setRejectedUpdates(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const toggleAllUpdates = (rejectAll) => setRejectedUpdates(
+    rejectAll ? new Set(updatePlans.filter(p => p.changes.length).map(p => p.record.uniqueId)) : new Set()
+  );
+
+  // Fiches visées par les doublons : base existante, corbeille ou ligne déjà retenue plus haut dans le fichier
+  const conflictTargets = useMemo(() => {
+    if (!importPreview.show) return new Map();
+    return new Map([...trash, ...data, ...importPreview.newRecords].map(r => [r.uniqueId, r]));
+  }, [importPreview, data, trash]);
+
+  const changeDuplicateAction = (index, action) => setDuplicateActions(prev => prev.map((a, i) => (i === index ? action : a)));
+
+  const bulkDuplicateAction = (reason, action) => setDuplicateActions(prev =>
+    prev.map((a, i) => (importPreview.duplicates[i].duplicateReason === reason ? action : a)));
+
   const confirmImport = async (mode = 'new') => {
-    let recordsToAdd;
-
-    if (mode === 'new') {
-      recordsToAdd = importPreview.newRecords;
-    } else if (mode === 'all') {
-      recordsToAdd = importPreview.data;
-    } else if (mode === 'update') {
-      // Mode mise à jour : remplacer les doublons et ajouter les nouveaux
+    if (importPreview.customFields) await saveCustomFields(importPreview.customFields);
+    await registerTags([...importPreview.newRecords, ...importPreview.duplicates].flatMap(r => r.tags || []));
+    if (mode === 'update') {
+      // Mode mise à jour : appliquer les mises à jour acceptées et ajouter les nouveaux
       const existingMap = new Map(data.map(r => [r.uniqueId, r]));
-      importPreview.data.forEach(r => {
-        existingMap.set(r.uniqueId, { ...existingMap.get(r.uniqueId), ...r, updatedAt: new Date().toISOString() });
+      updatePlans.forEach(p => {
+        if (!p.existing) existingMap.set(p.record.uniqueId, stripDuplicateInfo(p.record));
+        else if (p.changes.length && !rejectedUpdates.has(p.record.uniqueId)) existingMap.set(p.record.uniqueId, stripDuplicateInfo(p.record));
       });
-      const newData = Array.from(existingMap.values());
-      setData(newData);
-      await saveData(newData);
+      await commitData(Array.from(existingMap.values()), { label: `Import ${importPreview.fileName || ''} (mise à jour)`, source: 'import', detail: importPreview.fileName });
       await updateIdCounter(importPreview.nextCounter);
-      setImportPreview({ show: false, data: [], duplicates: [], newRecords: [], hasExistingIds: false });
+      setImportPreview(EMPTY_IMPORT_PREVIEW);
       return;
     }
 
-    const newData = [...data, ...recordsToAdd];
-    setData(newData);
-    await saveData(newData);
-    await updateIdCounter(importPreview.nextCounter);
-    setImportPreview({ show: false, data: [], duplicates: [], newRecords: [], hasExistingIds: false });
+    // Nouveaux + résolution ligne par ligne des doublons ; « Tout importer » crée une fiche pour chaque doublon
+    // Écraser ou fusionner un doublon de la corbeille restaure la fiche supprimée
+    const working = new Map([...data, ...importPreview.newRecords].map(r => [r.uniqueId, r]));
+    const trashById = new Map(trash.map(t => [t.uniqueId, t]));
+    const trashRemoved = [];
+    const fileIds = new Set(importPreview.fileIds);
+    const isTaken = (id) => working.has(id) || trashById.has(id);
+    let counter = importPreview.nextCounter;
+    const freshId = () => {
+      let id;
+      do { id = generateUniqueId(idPrefix, counter++); } while (isTaken(id));
+      return id;
+    };
+
+    importPreview.duplicates.forEach((d, i) => {
+      const action = mode === 'all' ? 'new' : duplicateActions[i];
+      const incoming = stripDuplicateInfo(d);
+      let target = working.get(d.duplicateOf);
+      if (action === 'skip') return;
+      if (!target && trashById.has(d.duplicateOf) && action !== 'new') {
+        trashRemoved.push(trashById.get(d.duplicateOf));
+        target = fromTrashItem(trashById.get(d.duplicateOf));
+        trashById.delete(d.duplicateOf);
+      }
+      if (action === 'new' || !target) {
+        const uniqueId = isTaken(incoming.uniqueId) ? freshId() : incoming.uniqueId;
+        working.set(uniqueId, { ...incoming, uniqueId });
+      } else if (action === 'overwrite') {
+        working.set(target.uniqueId, planUpdate(target, { ...incoming, uniqueId: target.uniqueId }, OVERWRITE_POLICIES).record);
+      } else if (action === 'merge') {
+        working.set(target.uniqueId, mergeImportedRecord(target, incoming, mergeRule, fileIds.has(incoming.uniqueId)));
+      }
+    });
+
+    await commitData(Array.from(working.values()), {
+      label: `Import ${importPreview.fileName || ''}${mode === 'all' ? ' (tout)' : ''}`, source: 'import', detail: importPreview.fileName, trashRemoved
+    });
+    await updateIdCounter(counter);
+    setImportPreview(EMPTY_IMPORT_PREVIEW);
   };
 
   // Starting point
@@ -618,86 +4431,102 @@ export default function DatabaseManager() {
   };
 
   // Processing
-  const enrichAll = async () => {
-    const toProcess = data.filter(r => !r.apiEnriched || r.apiStatus === 'error');
+  // Les résultats sont appliqués en fin de traitement sur les données du moment :
+  // une fiche modifiée pendant le traitement garde ses modifications, une fiche supprimée n'est pas recréée
+  const applyUpdates = (updates) => dataRef.current.map(r => (updates.has(r.uniqueId) ? updates.get(r.uniqueId)(r) : r));
+
+  // Traitements sur une liste de fiches : toute la base (fiches à traiter) ou la sélection (relance forcée)
+  const enrichRecords = async (toProcess, label) => {
     if (!toProcess.length) return;
 
     setProcessing({ type: 'enrich', current: 0, total: toProcess.length });
-    const newData = [...data];
+    const updates = new Map();
 
     for (let i = 0; i < toProcess.length; i++) {
       const record = toProcess[i];
-      const idx = newData.findIndex(r => r.uniqueId === record.uniqueId);
       const enriched = await enrichFromAPI(record);
-      newData[idx] = { ...newData[idx], ...enriched, updatedAt: new Date().toISOString() };
+      updates.set(record.uniqueId, r => {
+        const merged = { ...r, ...enriched };
+        return { ...merged, siren: merged.siren || deriveSiren(merged.siret), idIssues: checkIdentifiers(merged), updatedAt: new Date().toISOString() };
+      });
       setProcessing(p => ({ ...p, current: i + 1 }));
-      setData([...newData]);
       await new Promise(r => setTimeout(r, 150));
     }
-    await saveData(newData);
+    await commitData(applyUpdates(updates), { label: `${label} (${toProcess.length})`, source: 'api' });
     setProcessing({ type: null, current: 0, total: 0 });
   };
 
-  const geocodeAll = async () => {
-    const toProcess = data.filter(r => !r.lat && (r.address || r.postalCode));
+  // Un trajet calculé depuis l'ancienne position n'est plus valable après un nouveau géocodage
+  const geocodeRecords = async (toProcess, label) => {
     if (!toProcess.length) return;
 
     setProcessing({ type: 'geocode', current: 0, total: toProcess.length });
-    const newData = [...data];
+    const updates = new Map();
 
     for (let i = 0; i < toProcess.length; i++) {
       const record = toProcess[i];
-      const idx = newData.findIndex(r => r.uniqueId === record.uniqueId);
       const geo = await geocodeAddress(record.address, record.postalCode, record.city);
-      newData[idx] = { ...newData[idx], lat: geo.lat, lon: geo.lon, geoStatus: geo.status, updatedAt: new Date().toISOString() };
+      updates.set(record.uniqueId, r => {
+        const moved = geo.lat !== r.lat || geo.lon !== r.lon;
+        return {
+          ...r, lat: geo.lat, lon: geo.lon, geoStatus: geo.status, updatedAt: new Date().toISOString(),
+          ...(moved && { distanceMeters: null, durationSeconds: null, routeStatus: null })
+        };
+      });
       setProcessing(p => ({ ...p, current: i + 1 }));
-      setData([...newData]);
       await new Promise(r => setTimeout(r, 100));
     }
-    await saveData(newData);
+    await commitData(applyUpdates(updates), { label: `${label} (${toProcess.length})`, source: 'geocode' });
     setProcessing({ type: null, current: 0, total: 0 });
   };
 
-  const calculateRoutes = async () => {
-    if (!startPoint.lat || !startPoint.lon) return;
-    const toProcess = data.filter(r => r.lat && r.lon && !r.durationSeconds);
-    if (!toProcess.length) return;
+  const routeRecords = async (toProcess, label) => {
+    if (!startPoint.lat || !startPoint.lon || !toProcess.length) return;
 
     setProcessing({ type: 'routes', current: 0, total: toProcess.length });
-    const newData = [...data];
+    const updates = new Map();
 
     for (let i = 0; i < toProcess.length; i++) {
       const record = toProcess[i];
-      const idx = newData.findIndex(r => r.uniqueId === record.uniqueId);
       const route = await calculateRoute(startPoint.lon, startPoint.lat, record.lon, record.lat);
-      newData[idx] = { ...newData[idx], distanceMeters: route.distance, durationSeconds: route.duration, routeStatus: route.status, updatedAt: new Date().toISOString() };
+      updates.set(record.uniqueId, r => ({ ...r, distanceMeters: route.distance, durationSeconds: route.duration, routeStatus: route.status, updatedAt: new Date().toISOString() }));
       setProcessing(p => ({ ...p, current: i + 1 }));
-      setData([...newData]);
       await new Promise(r => setTimeout(r, 200));
     }
-    await saveData(newData);
+    await commitData(applyUpdates(updates), { label: `${label} (${toProcess.length})`, source: 'routes', detail: startPoint.address });
     setProcessing({ type: null, current: 0, total: 0 });
   };
 
+  const enrichAll = () => enrichRecords(dataRef.current.filter(r => !r.apiEnriched || r.apiStatus === 'error'), 'Enrichissement API');
+  const geocodeAll = () => geocodeRecords(dataRef.current.filter(r => !r.lat && (r.address || r.postalCode)), 'Géocodage');
+  const calculateRoutes = () => routeRecords(dataRef.current.filter(r => r.lat && r.lon && !r.durationSeconds), 'Calcul des trajets');
+
   const processAll = async () => {
     await enrichAll();
     await geocodeAll();
     if (startPoint.lat) await calculateRoutes();
   };
 
-  // Duplicates
-  const duplicateIds = useMemo(() => {
-    const phoneMap = new Map();
-    data.forEach(r => {
-      [r.phone, r.mobile, r.phone2].filter(Boolean).forEach(p => {
-        if (!phoneMap.has(p)) phoneMap.set(p, []);
-        phoneMap.get(p).push(r.uniqueId);
-      });
-    });
-    const ids = new Set();
-    [...phoneMap].filter(([_, v]) => v.length > 1).forEach(([_, g]) => g.forEach(id => ids.add(id)));
-    return ids;
-  }, [data]);
+  // Duplicates : calcul coûteux sur une grosse base, fait seulement quand la vue Doublons ou la fusion est ouverte
+  const clustersNeeded = showDuplicates || mergeIndex !== null;
+  const duplicateClusters = useMemo(
+    () => (clustersNeeded ? findDuplicateClusters(data, fuzzyThreshold) : []),
+    [clustersNeeded, data, fuzzyThreshold]
+  );
+
+  // uniqueId -> { index, cluster } pour regrouper et annoter les doublons dans le tableau
+  const clusterById = useMemo(() => {
+    const map = new Map();
+    duplicateClusters.forEach((cluster, index) => cluster.ids.forEach(id => map.set(id, { index, cluster })));
+    return map;
+  }, [duplicateClusters]);
+
+  const duplicateIds = useMemo(() => new Set(clusterById.keys()), [clusterById]);
+
+  const changeFuzzyThreshold = async (value) => {
+    setFuzzyThreshold(value);
+    await dbOps.setConfig('fuzzyThreshold', value);
+  };
 
   // Filtered data
   const filteredData = useMemo(() => {
@@ -715,27 +4544,35 @@ export default function DatabaseManager() {
     if (filters.maxDuration > 0) result = result.filter(r => r.durationSeconds && r.durationSeconds <= filters.maxDuration * 60);
     if (filters.onlyNew) result = result.filter(r => !r.lastExportedAt);
     if (filters.onlyExported) result = result.filter(r => r.lastExportedAt);
+    if (filters.onlyIdIssues) result = result.filter(r => r.idIssues?.length || r.apiStatus === 'mismatch');
     if (filters.exportDate) {
       const exp = exports.find(e => e.id === parseInt(filters.exportDate));
-      if (exp) result = result.filter(r => exp.contactIds.includes(r.uniqueId));
+      if (exp) result = result.filter(r => exp.contactIds.includes(r.uniqueId) || r.aliases?.some(id => exp.contactIds.includes(id)));
+    }
+    if (filters.tags.length) result = result.filter(r => matchTagFilter(r.tags, filters.tags, filters.tagMode));
+    if (filters.pipelineStatus) {
+      result = result.filter(r => (filters.pipelineStatus === NO_STATUS ? !r.pipelineStatus : r.pipelineStatus === filters.pipelineStatus));
+    }
+    if (filters.customField) {
+      const def = customFields.find(f => f.key === filters.customField);
+      const needsValue = !['filled', 'empty'].includes(filters.customOp);
+      if (def && (!needsValue || filters.customValue !== '')) {
+        result = result.filter(r => matchCustomFilter(r.custom?.[def.key], def.type, filters.customOp, filters.customValue));
+      }
     }
 
-    const sortFns = {
-      duration: (a, b) => (a.durationSeconds || 999999) - (b.durationSeconds || 999999),
-      distance: (a, b) => (a.distanceMeters || 999999) - (b.distanceMeters || 999999),
-      postalCode: (a, b) => (a.postalCode || '').localeCompare(b.postalCode || ''),
-      name: (a, b) => (a.name || '').localeCompare(b.name || ''),
-      createdAt: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
-      uniqueId: (a, b) => a.uniqueId.localeCompare(b.uniqueId)
-    };
-    if (sortFns[sortBy]) result = [...result].sort(sortFns[sortBy]);
+    const sortColumn = availableTableColumns(customFields).find(c => c.key === sortBy);
+    if (sortColumn) result = sortByColumn(result, sortColumn, sortDir, { pipelineStatuses });
+    // Vue doublons : les fiches d'une même grappe côte à côte
+    if (showDuplicates) result = [...result].sort((a, b) => clusterById.get(a.uniqueId).index - clusterById.get(b.uniqueId).index);
 
     return result;
-  }, [data, filters, showDuplicates, duplicateIds, sortBy, exports]);
+  }, [data, filters, showDuplicates, duplicateIds, clusterById, sortBy, sortDir, exports, customFields, pipelineStatuses]);
 
   // Stats
   const stats = useMemo(() => ({
     total: data.length,
+    idIssues: data.filter(r => r.idIssues?.length || r.apiStatus === 'mismatch').length,
     enriched: data.filter(r => r.apiEnriched).length,
     smallBusiness: data.filter(r => SMALL_BUSINESS_CODES.includes(r.apiEffectifCode)).length,
     geocoded: data.filter(r => r.lat).length,
@@ -746,60 +4583,469 @@ export default function DatabaseManager() {
 
   const postalCodes = useMemo(() => [...new Set(data.map(r => r.postalCode).filter(Boolean))].sort(), [data]);
   const categories = useMemo(() => [...new Set(data.map(r => r.category).filter(Boolean))].sort(), [data]);
+  const pipelineStats = useMemo(() => {
+    const counts = new Map();
+    data.forEach(r => counts.set(r.pipelineStatus || NO_STATUS, (counts.get(r.pipelineStatus || NO_STATUS) || 0) + 1));
+    const weekAgo = new Date(Date.now() - 7 * 86400000).toISOString();
+    const calls = data.reduce((sum, r) => sum + (r.calls || []).length, 0);
+    const recentCalls = data.reduce((sum, r) => sum + (r.calls || []).filter(c => c.date >= weekAgo).length, 0);
+    return { counts, calls, recentCalls };
+  }, [data]);
+  const tagCounts = useMemo(() => {
+    const counts = new Map();
+    data.forEach(r => (r.tags || []).forEach(t => counts.set(t.toLowerCase(), (counts.get(t.toLowerCase()) || 0) + 1)));
+    return counts;
+  }, [data]);
+  const allTags = useMemo(
+    () => uniqueTags([...tagDefinitions.map(d => d.name), ...data.flatMap(r => r.tags || [])]).sort((a, b) => sortCollator.compare(a, b)),
+    [tagDefinitions, data]
+  );
+  const tableColumns = useMemo(() => resolveTableColumns(columnLayout, customFields), [columnLayout, customFields]);
+  const visibleColumns = tableColumns.filter(c => c.visible);
+  const tableWidth = visibleColumns.reduce((sum, c) => sum + c.width, 88);
+  const customFilterDef = customFields.find(f => f.key === filters.customField);
+
+  // Table : pagination optionnelle, puis virtualisation des lignes de la page
+  const pageCount = pageSize ? Math.max(1, Math.ceil(filteredData.length / pageSize)) : 1;
+  const pageOffset = pageSize ? page * pageSize : 0;
+  const pageRows = useMemo(
+    () => (pageSize ? filteredData.slice(pageOffset, pageOffset + pageSize) : filteredData),
+    [filteredData, pageSize, pageOffset]
+  );
+  const tableWindow = getVirtualWindow(tableScroll.top, tableScroll.height, pageRows.length);
+
+  const measureTable = useCallback(() => {
+    if (tableRef.current) setTableScroll({ top: tableRef.current.scrollTop, height: tableRef.current.clientHeight });
+  }, []);
+
+  // Le tableau n'est monté que s'il a des lignes : le mesurer à son apparition
+  const hasRows = filteredData.length > 0;
+  useEffect(() => {
+    measureTable();
+    window.addEventListener('resize', measureTable);
+    return () => window.removeEventListener('resize', measureTable);
+  }, [measureTable, hasRows]);
+
+  // Nouveaux filtres ou nouveau tri : retour en haut de la première page
+  useEffect(() => {
+    setPage(0);
+    selectionAnchor.current = null;
+    if (tableRef.current) tableRef.current.scrollTop = 0;
+  }, [filters, showDuplicates, sortBy, sortDir]);
+
+  useEffect(() => {
+    if (page >= pageCount) setPage(pageCount - 1);
+  }, [page, pageCount]);
+
+  // Disposition du tableau (colonnes, largeurs, tri) conservée d'une session à l'autre
+  const applyTableLayout = async ({ columns, sortBy: key = sortBy, sortDir: dir = sortDir }) => {
+    setColumnLayout(columns);
+    setSortBy(key);
+    setSortDir(dir);
+    await dbOps.setConfig('tableLayout', { columns, sortBy: key, sortDir: dir });
+  };
+
+  // Clic sur un en-tête : tri sur la colonne, un second clic inverse le sens
+  const changeSort = (key) => {
+    const dir = key === sortBy ? (sortDir === 'asc' ? 'desc' : 'asc') : defaultSortDir(key);
+    applyTableLayout({ columns: columnLayout, sortBy: key, sortDir: dir });
+  };
+
+  const startColumnResize = (e, column) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    let width = column.width;
+    const resized = () => toLayoutColumns(tableColumns.map(c => c.key === column.key ? { ...c, width } : c));
+    const onMove = (ev) => {
+      width = Math.max(MIN_COLUMN_WIDTH, column.width + ev.clientX - startX);
+      setColumnLayout(resized());
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      applyTableLayout({ columns: resized() });
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const saveTableLayouts = async (layouts) => {
+    setTableLayouts(layouts);
+    await dbOps.setConfig('tableLayouts', layouts);
+  };
+
+  // Une disposition nommée remplace celle qui porte déjà ce nom
+  const saveNamedLayout = async (name, columns) => {
+    const existing = tableLayouts.find(l => l.name.toLowerCase() === name.toLowerCase());
+    const layout = { id: existing?.id || createProfileId(), name, columns: toLayoutColumns(columns), sortBy, sortDir, updatedAt: new Date().toISOString() };
+    await saveTableLayouts([...tableLayouts.filter(l => l.id !== layout.id), layout]);
+  };
+
+  const loadNamedLayout = async (layout) => {
+    await applyTableLayout({ columns: layout.columns, sortBy: layout.sortBy || sortBy, sortDir: layout.sortDir || sortDir });
+    setShowColumnChooser(false);
+  };
+
+  const changePageSize = async (size) => {
+    setPageSize(size);
+    setPage(0);
+    if (tableRef.current) tableRef.current.scrollTop = 0;
+    await dbOps.setConfig('pageSize', size);
+  };
+
+  const changePage = (next) => {
+    setPage(next);
+    if (tableRef.current) tableRef.current.scrollTop = 0;
+  };
+
+  // Aller à une fiche par son ID (ou un alias) dans les résultats filtrés
+  const jumpToRecord = () => {
+    const wanted = jumpId.trim().toLowerCase();
+    if (!wanted) return;
+    const matches = (r) => r.uniqueId.toLowerCase() === wanted || r.aliases?.some(a => a.toLowerCase() === wanted);
+    const index = filteredData.findIndex(matches);
+    if (index === -1) {
+      alert(data.some(matches) ? `La fiche ${jumpId.trim()} est masquée par les filtres actifs` : `Aucune fiche ${jumpId.trim()}`);
+      return;
+    }
+    const local = pageSize ? index % pageSize : index;
+    if (pageSize) setPage(Math.floor(index / pageSize));
+    setHighlightId(filteredData[index].uniqueId);
+    requestAnimationFrame(() => {
+      if (!tableRef.current) return;
+      tableRef.current.scrollTop = Math.max(0, local * TABLE_ROW_HEIGHT - tableRef.current.clientHeight / 2 + TABLE_ROW_HEIGHT / 2);
+      measureTable();
+    });
+  };
+
+  // Sélection multiple : cases à cocher, Maj+clic pour cocher une plage des résultats filtrés
+  const selectedRecords = useMemo(() => data.filter(r => selectedIds.has(r.uniqueId)), [data, selectedIds]);
+  const selectedInView = filteredData.filter(r => selectedIds.has(r.uniqueId)).length;
+  const allFilteredSelected = filteredData.length > 0 && selectedInView === filteredData.length;
+
+  const toggleSelection = (index, shiftKey) => {
+    const select = !selectedIds.has(filteredData[index].uniqueId);
+    const anchor = shiftKey && selectionAnchor.current !== null ? Math.min(selectionAnchor.current, filteredData.length - 1) : index;
+    const range = filteredData.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      range.forEach(r => (select ? next.add(r.uniqueId) : next.delete(r.uniqueId)));
+      return next;
+    });
+    selectionAnchor.current = index;
+  };
+
+  const toggleSelectAllFiltered = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      filteredData.forEach(r => (allFilteredSelected ? next.delete(r.uniqueId) : next.add(r.uniqueId)));
+      return next;
+    });
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectionAnchor.current = null;
+  };
 
   // Actions
-  const removeDuplicates = async () => {
-    const seen = new Set();
-    const toRemove = [];
-    const newData = data.filter(r => {
-      const phones = [r.phone, r.mobile, r.phone2].filter(Boolean);
-      if (phones.some(p => seen.has(p))) { toRemove.push(r.uniqueId); return false; }
-      phones.forEach(p => seen.add(p));
-      return true;
+  // Fusion des doublons : la fiche fusionnée prend la place de la fiche conservée, les autres sont supprimées
+  const applyMerges = async (merges) => {
+    const replaced = new Map(merges.map(m => [m.merged.uniqueId, m.merged]));
+    const removed = new Set(merges.flatMap(m => m.absorbedIds));
+    await commitData(records => records.filter(r => !removed.has(r.uniqueId)).map(r => replaced.get(r.uniqueId) || r), { label: `Fusion de ${merges.length} groupe(s) de doublons`, source: 'merge' });
+  };
+
+  const clusterRecords = useCallback((cluster) => cluster.ids.map(id => data.find(r => r.uniqueId === id)).filter(Boolean), [data]);
+
+  const mergingRecords = useMemo(
+    () => (mergeIndex !== null && duplicateClusters[mergeIndex] ? clusterRecords(duplicateClusters[mergeIndex]) : null),
+    [mergeIndex, duplicateClusters, clusterRecords]
+  );
+
+  const changeMergeRule = async (rule) => {
+    setMergeRule(rule);
+    await dbOps.setConfig('mergeRule', rule);
+  };
+
+  // Le groupe fusionné disparaît : le même index pointe sur le groupe suivant
+  const mergeCurrentCluster = async (choices) => {
+    const merged = mergeRecords(mergingRecords, choices);
+    await applyMerges([{ merged, absorbedIds: mergingRecords.map(r => r.uniqueId).filter(id => id !== merged.uniqueId) }]);
+    if (duplicateClusters.length <= 1) setMergeIndex(null);
+    else if (mergeIndex >= duplicateClusters.length - 1) setMergeIndex(0);
+  };
+
+  const mergeAllClusters = async () => {
+    if (!window.confirm(`Fusionner les ${duplicateClusters.length} groupes avec la règle « ${SURVIVORSHIP_RULES.find(r => r.value === mergeRule).label} » ?`)) return;
+    const merges = duplicateClusters.map(cluster => {
+      const records = clusterRecords(cluster);
+      const merged = mergeRecords(records, defaultMergeChoices(records, mergeRule));
+      return { merged, absorbedIds: records.map(r => r.uniqueId).filter(id => id !== merged.uniqueId) };
     });
-    setData(newData);
-    await saveData(newData);
-    for (const id of toRemove) await dbOps.delete('contacts', id);
+    await applyMerges(merges);
+    setMergeIndex(null);
   };
 
-  const exportData = async () => {
+  useEffect(() => {
+    if (mergeIndex === null || duplicateClusters.length) return;
+    setMergeIndex(null);
+    alert('Aucun doublon détecté');
+  }, [mergeIndex, duplicateClusters]);
+
+  const skipCluster = () => setMergeIndex(i => (i + 1 < duplicateClusters.length ? i + 1 : null));
+
+  const exportRecords = async (records) => {
     const now = new Date();
-    const exportRecord = { date: now.toISOString(), count: filteredData.length, contactIds: filteredData.map(r => r.uniqueId) };
+    const exportRecord = { date: now.toISOString(), count: records.length, contactIds: records.map(r => r.uniqueId) };
     const exportId = await dbOps.put('exports', exportRecord);
     setExports([...exports, { ...exportRecord, id: exportId }]);
 
-    const newData = data.map(r => filteredData.find(f => f.uniqueId === r.uniqueId)
-      ? { ...r, lastExportedAt: now.toISOString(), exportCount: (r.exportCount || 0) + 1 } : r);
-    setData(newData);
-    await saveData(newData);
+    const exported = new Set(exportRecord.contactIds);
+    await commitData(current => current.map(r => exported.has(r.uniqueId)
+      ? { ...r, lastExportedAt: now.toISOString(), exportCount: (r.exportCount || 0) + 1 } : r), { label: `Export de ${records.length} fiches`, source: 'export', exportsAdded: [exportId] });
 
-    const rows = filteredData.map(r => ({
+    const rows = records.map(r => ({
       'ID Fiche': r.uniqueId, 'Nom': r.name, 'Adresse': r.address, 'Code Postal': r.postalCode, 'Ville': r.city,
-      'Téléphone': formatPhone(r.phone), 'Mobile': formatPhone(r.mobile), 'Email': r.email, 'Catégorie': r.category,
+      'Département': r.department, 'Région': r.region,
+      'Téléphone': formatPhone(r.phone), 'Mobile': formatPhone(r.mobile), 'Téléphone 3': formatPhone(r.phone2),
+      'Email': r.email, 'Site web': r.website, 'Catégorie': r.category,
       'SIRET': r.siret, 'SIREN': r.siren, 'Code NAF': r.apiNaf || r.naf,
+      'Forme juridique': r.legalForm, 'Capital': r.capital ?? '',
       'Effectif (code)': r.apiEffectifCode, 'Effectif': r.apiEffectifLabel, 'Dirigeants': r.apiDirigeants,
-      'Date Création Ent.': r.apiDateCreation, 'Distance (km)': r.distanceMeters ? (r.distanceMeters / 1000).toFixed(1) : '',
+      'Date Création Ent.': r.apiDateCreation, 'Description': r.description, 'Services': r.services,
+      'Distance (km)': r.distanceMeters ? (r.distanceMeters / 1000).toFixed(1) : '',
       'Temps trajet (min)': r.durationSeconds ? Math.round(r.durationSeconds / 60) : '',
       'Latitude': r.lat, 'Longitude': r.lon, 'Date Import': formatDateTime(r.createdAt),
-      'Dernier Export': formatDateTime(r.lastExportedAt), 'Nb Exports': r.exportCount, 'Source': r.sourceFile
+      'Dernier Export': formatDateTime(r.lastExportedAt), 'Nb Exports': r.exportCount, 'Source': r.sourceFile,
+      'Alias': r.aliases?.join(', ') || '', 'Tags': r.tags?.join(', ') || '',
+      'Statut prospection': pipelineStatusLabel(pipelineStatuses, r.pipelineStatus),
+      'Dernier appel': formatDateTime(lastCall(r)?.date), 'Nb appels': r.calls?.length || 0,
+      'Dernier commentaire': lastCall(r)?.comment || '',
+      ...Object.fromEntries(customFields.map(f => {
+        const v = r.custom?.[f.key];
+        return [f.label, f.type === 'number' ? v ?? '' : formatCustomValue(v, f.type)];
+      }))
     }));
 
     const ws = XLSX.utils.json_to_sheet(rows);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Export');
-    XLSX.writeFile(wb, `export_${now.toISOString().slice(0, 10)}_${filteredData.length}fiches.xlsx`);
+    XLSX.writeFile(wb, `export_${now.toISOString().slice(0, 10)}_${records.length}fiches.xlsx`);
   };
 
+  const exportData = () => exportRecords(filteredData);
+
+  // Fiche détaillée : enregistrement des saisies, avec nouveau géocodage si l'adresse a changé
+  const detailRecord = useMemo(() => (detailId ? data.find(r => r.uniqueId === detailId) || null : null), [data, detailId]);
+
+  const saveContact = async (edited, { regeocode }) => {
+    let updated = { ...edited, updatedAt: new Date().toISOString() };
+    if (regeocode) {
+      const geo = await geocodeAddress(updated.address, updated.postalCode, updated.city);
+      updated = { ...updated, lat: geo.lat, lon: geo.lon, geoStatus: geo.status, distanceMeters: null, durationSeconds: null, routeStatus: null };
+      if (geo.lat && startPoint.lat && startPoint.lon) {
+        const route = await calculateRoute(startPoint.lon, startPoint.lat, geo.lon, geo.lat);
+        updated = { ...updated, distanceMeters: route.distance, durationSeconds: route.duration, routeStatus: route.status };
+      }
+    }
+    // Géocodage et trajet prennent du temps : repartir des données du moment, pas de celles du clic
+    await commitData(records => records.map(r => (r.uniqueId === updated.uniqueId ? updated : r)), { label: `Modification de ${updated.uniqueId}`, source: 'edit' });
+  };
+
+  // Nouvelle fiche : ID suivant du compteur, mêmes contrôles de doublons qu'à l'import (base et corbeille)
+  const createContact = async (record, force) => {
+    const taken = new Set([...data, ...trash].flatMap(r => [r.uniqueId, ...(r.aliases || [])]));
+    let counter = idCounter;
+    let uniqueId;
+    do { uniqueId = generateUniqueId(idPrefix, counter++); } while (taken.has(uniqueId));
+    const newRecord = { ...record, uniqueId };
+
+    if (!force) {
+      const [match] = findDuplicates([newRecord]).duplicates;
+      if (match) {
+        const inTrash = match.duplicateReason === 'Corbeille';
+        const target = (inTrash ? trash : data).find(r => r.uniqueId === match.duplicateOf);
+        return { duplicate: { reason: inTrash ? match.trashMatchReason : match.duplicateReason, score: match.duplicateScore, target, inTrash } };
+      }
+    }
+
+    await commitData(records => [...records, newRecord], { label: `Nouvelle fiche ${uniqueId}`, source: 'create' });
+    await updateIdCounter(counter);
+    setShowNewContact(false);
+    return { created: true };
+  };
+
+  // Suppression douce : la fiche part à la corbeille avec son motif
   const deleteRecord = async (id) => {
-    setData(data.filter(r => r.uniqueId !== id));
-    await dbOps.delete('contacts', id);
+    const reason = prompt('Motif de suppression (optionnel) :', '');
+    if (reason === null) return;
+    const record = dataRef.current.find(r => r.uniqueId === id);
+    if (!record) return;
+    await commitData(records => records.filter(r => r.uniqueId !== id), {
+      label: `Suppression de ${id}`, source: 'delete', detail: reason || null, trashAdded: [toTrashItem(record, reason)]
+    });
+  };
+
+  // Actions groupées : seules les fiches réellement modifiées sont enregistrées
+  const bulkUpdate = async (update, label) => {
+    const now = new Date().toISOString();
+    await commitData(records => records.map(r => {
+      if (!selectedIds.has(r.uniqueId)) return r;
+      const next = update(r);
+      return next === r ? r : { ...next, updatedAt: now };
+    }), { label: `${label} (${selectedRecords.length} fiches)`, source: 'bulk' });
+  };
+
+  const bulkSetCategory = async () => {
+    const value = prompt(`Catégorie pour ${selectedRecords.length} fiche(s) (vide pour l'effacer) :`, '');
+    if (value === null) return;
+    const category = value.trim() || null;
+    await bulkUpdate(r => ((r.category || null) === category ? r : { ...r, category }), category ? `Catégorie « ${category} »` : 'Catégorie effacée');
+  };
+
+  const bulkEditTags = async (mode) => {
+    const tags = parseTags(prompt(mode === 'add' ? 'Tags à ajouter (séparés par des virgules) :' : 'Tags à retirer (séparés par des virgules) :', ''));
+    if (!tags.length) return;
+    if (mode === 'add') await registerTags(tags);
+    await bulkUpdate(r => {
+      const next = mode === 'add' ? addTags(r.tags, tags) : removeTags(r.tags, tags);
+      return next.length === (r.tags || []).length ? r : { ...r, tags: next };
+    }, `${mode === 'add' ? 'Ajout' : 'Retrait'} des tags ${tags.join(', ')}`);
+  };
+
+  // Tags d'une fiche, modifiés un par un depuis la fiche détaillée
+  const setContactTags = async (id, tags) => {
+    await registerTags(tags);
+    await commitData(records => records.map(r => (r.uniqueId === id ? { ...r, tags, updatedAt: new Date().toISOString() } : r)), { label: `Tags de ${id}`, source: 'edit' });
+  };
+
+  // Prospection : statut et journal d'appels de la fiche
+  const setContactStatus = async (id, status) => {
+    await commitData(records => records.map(r => (r.uniqueId === id ? { ...r, pipelineStatus: status || null, updatedAt: new Date().toISOString() } : r)), {
+      label: `Statut de ${id}`, source: 'edit'
+    });
+  };
+
+  const addContactCall = async (id, call) => {
+    await commitData(records => records.map(r => (r.uniqueId === id ? { ...logCall(r, call), updatedAt: new Date().toISOString() } : r)), {
+      label: `Appel ${id}`, source: 'call', detail: [callOutcomeLabel(call.outcome), call.comment?.trim()].filter(Boolean).join(' : ')
+    });
+  };
+
+  const removeContactCall = async (id, callId) => {
+    if (!window.confirm('Supprimer cet appel du journal ?')) return;
+    await commitData(records => records.map(r => (r.uniqueId === id ? { ...r, calls: (r.calls || []).filter(c => c.id !== callId), updatedAt: new Date().toISOString() } : r)), {
+      label: `Suppression d'un appel de ${id}`, source: 'edit'
+    });
+  };
+
+  // Un statut supprimé est retiré des fiches qui le portaient (annulable depuis le journal)
+  const savePipelineStatuses = async (statuses) => {
+    const kept = new Set(statuses.map(st => st.key));
+    const orphans = data.filter(r => r.pipelineStatus && !kept.has(r.pipelineStatus));
+    if (orphans.length) {
+      if (!window.confirm(`${orphans.length} fiche(s) portent un statut supprimé : elles repasseront sans statut. Continuer ?`)) return false;
+      const now = new Date().toISOString();
+      await commitData(records => records.map(r => (r.pipelineStatus && !kept.has(r.pipelineStatus) ? { ...r, pipelineStatus: null, updatedAt: now } : r)), {
+        label: 'Suppression de statuts de prospection', source: 'bulk'
+      });
+    }
+    setPipelineStatuses(statuses);
+    await dbOps.setConfig('pipelineStatuses', statuses);
+    if (filters.pipelineStatus && filters.pipelineStatus !== NO_STATUS && !kept.has(filters.pipelineStatus)) setFilters(f => ({ ...f, pipelineStatus: '' }));
+    return true;
+  };
+
+  const changeTagColor = async (name, color) => {
+    const withDefinition = withTagDefinitions(tagDefinitions, [name]);
+    await saveTagDefinitions(withDefinition.map(d => (d.name.toLowerCase() === name.toLowerCase() ? { ...d, color } : d)));
+  };
+
+  // Supprimer un tag le retire de toutes les fiches (annulable depuis le journal)
+  const deleteTag = async (name) => {
+    const count = tagCounts.get(name.toLowerCase()) || 0;
+    if (!window.confirm(`Supprimer le tag « ${name} » ?${count ? ` Il sera retiré de ${count} fiche(s).` : ''}`)) return;
+    if (count) {
+      const now = new Date().toISOString();
+      await commitData(records => records.map(r => (matchTagFilter(r.tags, [name], 'any') ? { ...r, tags: removeTags(r.tags, [name]), updatedAt: now } : r)), {
+        label: `Suppression du tag « ${name} »`, source: 'bulk'
+      });
+    }
+    await saveTagDefinitions(tagDefinitions.filter(d => d.name.toLowerCase() !== name.toLowerCase()));
+    setFilters(f => ({ ...f, tags: removeTags(f.tags, [name]) }));
+  };
+
+  const bulkResetExport = async () => {
+    if (!window.confirm(`Remettre ${selectedRecords.length} fiche(s) au statut « jamais exportée » ?`)) return;
+    await bulkUpdate(r => (!r.lastExportedAt && !r.exportCount ? r : { ...r, lastExportedAt: null, exportCount: 0 }), "Réinitialisation du statut d'export");
+  };
+
+  const bulkDelete = async () => {
+    const reason = prompt(`Motif de suppression de ${selectedRecords.length} fiche(s) (optionnel) :`, '');
+    if (reason === null) return;
+    const deleted = dataRef.current.filter(r => selectedIds.has(r.uniqueId));
+    await commitData(records => records.filter(r => !selectedIds.has(r.uniqueId)), {
+      label: `Suppression de ${deleted.length} fiche(s)`, source: 'delete', detail: reason || null,
+      trashAdded: deleted.map(r => toTrashItem(r, reason))
+    });
+    clearSelection();
+  };
+
+  const bulkRoutes = async () => {
+    if (!startPoint.lat) { alert("Définissez d'abord le point de départ"); return; }
+    await routeRecords(selectedRecords.filter(r => r.lat && r.lon), 'Calcul des trajets de la sélection');
+  };
+
+  const restoreFromTrash = async (ids) => {
+    const items = trash.filter(t => ids.includes(t.uniqueId));
+    if (!items.length) return;
+    // Un ID déjà attribué ou conservé en alias par une fusion ferait correspondre deux fiches au ré-import
+    const taken = new Set(dataRef.current.map(r => r.uniqueId));
+    const aliases = buildAliasIndex(dataRef.current);
+    const isTaken = (id) => taken.has(id) || aliases.has(id);
+    const conflicts = items.filter(t => isTaken(t.uniqueId) || (t.aliases || []).some(isTaken));
+    if (conflicts.length) alert(`${conflicts.length} fiche(s) non restaurée(s) : ID déjà utilisé (${conflicts.map(t => t.uniqueId).join(', ')})`);
+    const restorable = items.filter(t => !conflicts.includes(t));
+    if (!restorable.length) return;
+    await commitData(records => [...records, ...restorable.map(fromTrashItem)], {
+      label: `Restauration de ${restorable.length} fiche(s)`, source: 'restore', trashRemoved: restorable
+    });
+  };
+
+  // Suppression définitive (non annulable) : le journal ne doit plus pouvoir ramener ces fiches
+  const emptyTrash = async (ids = null) => {
+    const targets = ids ? trash.filter(t => ids.includes(t.uniqueId)) : trash;
+    if (!targets.length || !window.confirm(`Supprimer définitivement ${targets.length} fiche(s) de la corbeille ? Cette action ne peut pas être annulée.`)) return;
+    const removed = new Set(targets.map(t => t.uniqueId));
+    if (ids) await dbOps.deleteMany('trash', [...removed]);
+    else await dbOps.clear('trash');
+    setTrash(prev => prev.filter(t => !removed.has(t.uniqueId)));
+
+    const kept = [];
+    const updated = [];
+    const dropped = [];
+    journalRef.current.forEach(entry => {
+      const purged = entry.undone ? entry : purgeJournalEntry(entry, removed);
+      if (!purged) dropped.push(entry.id);
+      else {
+        kept.push(purged);
+        if (purged !== entry) updated.push(purged);
+      }
+    });
+    if (!updated.length && !dropped.length) return;
+    applyJournal(kept);
+    await dbOps.putMany('journal', updated);
+    await dbOps.deleteMany('journal', dropped);
   };
 
+  // Le compteur d'ID n'est pas remis à 1 : une annulation ne doit pas créer de collisions d'ID
   const clearAllData = async () => {
     if (!window.confirm('Supprimer TOUTES les données ?')) return;
-    setData([]); setExports([]);
-    await dbOps.clear('contacts'); await dbOps.clear('exports');
-    await updateIdCounter(1);
+    await commitData([], { label: 'Vider la base', source: 'delete', detail: 'Vider la base', exportsRemoved: exports });
+    setExports([]);
+    await dbOps.clear('exports');
   };
 
   const changePrefix = async () => {
@@ -838,21 +5084,143 @@ export default function DatabaseManager() {
           </div>
         </div>
 
+        {/* Sheet Picker Modal */}
+        {pendingWorkbook && (
+          <SheetPickerModal
+            fileName={pendingWorkbook.fileName}
+            sheets={pendingWorkbook.sheets}
+            onConfirm={(sheets) => { setPendingWorkbook(null); startMapping(pendingWorkbook.fileName, sheets); }}
+            onCancel={() => setPendingWorkbook(null)}
+          />
+        )}
+
+        {/* Custom Fields Modal */}
+        {showCustomFields && (
+          <CustomFieldsModal
+            customFields={customFields}
+            onSave={async (fields) => { await saveCustomFields(fields); setShowCustomFields(false); }}
+            onClose={() => setShowCustomFields(false)}
+          />
+        )}
+
+        {showPipeline && (
+          <PipelineModal
+            statuses={pipelineStatuses}
+            counts={pipelineStats.counts}
+            onSave={async (statuses) => { if (await savePipelineStatuses(statuses)) setShowPipeline(false); }}
+            onClose={() => setShowPipeline(false)}
+          />
+        )}
+
+        {showTags && (
+          <TagsModal
+            tags={allTags}
+            definitions={tagDefinitions}
+            counts={tagCounts}
+            onChangeColor={changeTagColor}
+            onCreate={registerTags}
+            onDelete={deleteTag}
+            onClose={() => setShowTags(false)}
+          />
+        )}
+
+        {showColumnChooser && (
+          <ColumnChooser
+            columns={tableColumns}
+            layouts={tableLayouts}
+            onApply={async (columns) => { await applyTableLayout({ columns: toLayoutColumns(columns) }); setShowColumnChooser(false); }}
+            onSaveLayout={saveNamedLayout}
+            onLoadLayout={loadNamedLayout}
+            onDeleteLayout={(id) => saveTableLayouts(tableLayouts.filter(l => l.id !== id))}
+            onReset={async () => { await applyTableLayout({ columns: null }); setShowColumnChooser(false); }}
+            onClose={() => setShowColumnChooser(false)}
+          />
+        )}
+
         {/* Column Mapping Modal */}
         {showMappingModal && pendingImport && (
           <ColumnMappingModal
             headers={pendingImport.headers}
             initialMapping={pendingImport.autoMapping}
-            sampleData={pendingImport.rawData.slice(0, 3)}
+            detection={pendingImport.detection}
+            customFields={customFields}
+            initialCustomColumns={pendingImport.customColumns}
+            initialTransforms={pendingImport.transforms}
+            sampleData={pendingImport.rawData.slice(0, 20)}
+            profiles={mappingProfiles}
+            initialProfileId={pendingImport.profileId}
+            signature={pendingImport.signature}
+            sheets={pendingImport.sheets}
+            onLayoutChange={changeSheetLayout}
+            csvOptions={pendingImport.csv}
+            onCsvOptionsChange={changeCsvOptions}
+            onSaveProfile={saveMappingProfile}
+            onRenameProfile={renameMappingProfile}
+            onDeleteProfile={deleteMappingProfile}
             onConfirm={handleMappingConfirm}
             onCancel={() => { setShowMappingModal(false); setPendingImport(null); }}
           />
         )}
 
+        {/* New Contact */}
+        {showNewContact && (
+          <NewContactModal
+            customFields={customFields}
+            onCreate={createContact}
+            onOpenExisting={(id) => { setShowNewContact(false); setDetailId(id); }}
+            onClose={() => setShowNewContact(false)}
+          />
+        )}
+
+        {/* Contact Drawer */}
+        {detailRecord && (
+          <ContactDrawer
+            record={detailRecord}
+            customFields={customFields}
+            exports={exports}
+            onSave={saveContact}
+            tagDefinitions={tagDefinitions}
+            knownTags={allTags}
+            onTagsChange={(tags) => setContactTags(detailRecord.uniqueId, tags)}
+            pipelineStatuses={pipelineStatuses}
+            onStatusChange={(status) => setContactStatus(detailRecord.uniqueId, status)}
+            onAddCall={(call) => addContactCall(detailRecord.uniqueId, call)}
+            onRemoveCall={(callId) => removeContactCall(detailRecord.uniqueId, callId)}
+            onShowHistory={() => setHistoryRecord(detailRecord)}
+            onDelete={() => deleteRecord(detailRecord.uniqueId)}
+            onClose={() => setDetailId(null)}
+          />
+        )}
+
+        {/* Contact History */}
+        {historyRecord && <HistoryModal record={historyRecord} customFields={customFields} pipelineStatuses={pipelineStatuses} onClose={() => setHistoryRecord(null)} />}
+
+        {/* Trash */}
+        {showTrash && <TrashPanel items={trash} onRestore={restoreFromTrash} onPurge={emptyTrash} onClose={() => setShowTrash(false)} />}
+
+        {/* Journal Panel */}
+        {showJournal && <JournalPanel entries={journal} onUndo={undoOperation} onClose={() => setShowJournal(false)} />}
+
+        {/* Merge Modal */}
+        {mergingRecords && (
+          <MergeModal
+            key={mergingRecords.map(r => r.uniqueId).join('|')}
+            records={mergingRecords}
+            position={mergeIndex + 1}
+            total={duplicateClusters.length}
+            rule={mergeRule}
+            onRuleChange={changeMergeRule}
+            onConfirm={mergeCurrentCluster}
+            onMergeAll={mergeAllClusters}
+            onSkip={skipCluster}
+            onCancel={() => setMergeIndex(null)}
+          />
+        )}
+
         {/* Import Preview Modal */}
         {importPreview.show && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6">
+            <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full p-6 max-h-[90vh] overflow-y-auto">
               <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
                 <Layers className="w-6 h-6 text-blue-600" /> Prévisualisation
               </h2>
@@ -870,26 +5238,48 @@ export default function DatabaseManager() {
                   <span>⚠ Doublons</span>
                   <span className="font-bold">{importPreview.duplicates.length}</span>
                 </div>
+                {importPreview.duplicates.length > 0 && (
+                  <ConflictResolver
+                    duplicates={importPreview.duplicates}
+                    targets={conflictTargets}
+                    actions={duplicateActions}
+                    onChange={changeDuplicateAction}
+                    onBulk={bulkDuplicateAction}
+                  />
+                )}
                 {importPreview.hasExistingIds && (
                   <div className="p-3 bg-blue-50 rounded-lg text-blue-700 text-sm">
                     ℹ️ Fichier avec IDs existants détecté (base enrichie)
                   </div>
                 )}
+                <ValidationReport entries={importPreview.validation} onDownload={downloadRejects} />
+                {importPreview.hasExistingIds && (
+                  <UpdateDiffPreview
+                    plans={updatePlans.filter(p => p.existing)}
+                    policies={updatePolicies}
+                    onPolicyChange={changeUpdatePolicy}
+                    rejected={rejectedUpdates}
+                    onToggle={toggleUpdate}
+                    onToggleAll={toggleAllUpdates}
+                    customFields={importPreview.customFields || customFields}
+                  />
+                )}
               </div>
 
               <div className="space-y-2">
                 <button onClick={() => confirmImport('new')} className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
                   Importer nouveaux ({importPreview.newRecords.length})
+                  {duplicateActions.some(a => a !== 'skip') && ` + doublons résolus (${duplicateActions.filter(a => a !== 'skip').length})`}
                 </button>
                 {importPreview.hasExistingIds && (
                   <button onClick={() => confirmImport('update')} className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-                    Mettre à jour + Ajouter nouveaux
+                    Mettre à jour ({updatePlans.filter(p => p.existing && p.changes.length && !rejectedUpdates.has(p.record.uniqueId)).length}) + Ajouter nouveaux ({updatePlans.filter(p => !p.existing).length})
                   </button>
                 )}
                 <button onClick={() => confirmImport('all')} className="w-full px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600">
                   Tout importer ({importPreview.data.length})
                 </button>
-                <button onClick={() => setImportPreview({ show: false, data: [], duplicates: [], newRecords: [], hasExistingIds: false })}
+                <button onClick={() => setImportPreview(EMPTY_IMPORT_PREVIEW)}
                   className="w-full px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
                   Annuler
                 </button>
@@ -920,7 +5310,7 @@ export default function DatabaseManager() {
           <label className="bg-white rounded-xl shadow-sm p-3 border-2 border-dashed border-blue-200 hover:border-blue-400 cursor-pointer flex flex-col items-center justify-center">
             <Upload className="w-5 h-5 text-blue-500" />
             <span className="text-xs text-gray-600">Import</span>
-            <input type="file" accept=".xls,.xlsx,.csv" onChange={handleFileUpload} className="hidden" />
+            <input type="file" accept=".xls,.xlsx,.csv,.tsv,.txt" onChange={handleFileUpload} className="hidden" />
           </label>
 
           {[
@@ -939,6 +5329,30 @@ export default function DatabaseManager() {
           ))}
         </div>
 
+        {/* Pipeline */}
+        {data.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm p-3 flex flex-wrap items-center gap-2 text-sm">
+            <Target className="w-4 h-4 text-blue-600" />
+            <span className="font-medium text-gray-700 mr-1">Prospection</span>
+            {[...pipelineStatuses, { key: NO_STATUS, label: 'Sans statut', color: 'gray' }].map(st => {
+              const count = pipelineStats.counts.get(st.key) || 0;
+              const active = filters.pipelineStatus === st.key;
+              return (
+                <button key={st.key} onClick={() => setFilters(f => ({ ...f, pipelineStatus: active ? '' : st.key }))}
+                  className={`px-2 py-1 rounded-lg text-xs ${colorClassName(st.color)} ${active ? 'ring-2 ring-blue-500' : 'hover:opacity-80'}`}>
+                  {st.label} <span className="font-bold">{count}</span>
+                  <span className="opacity-60"> ({Math.round((count / data.length) * 100)}%)</span>
+                </button>
+              );
+            })}
+            <span className="flex-1" />
+            <span className="text-xs text-gray-500">{pipelineStats.calls} appel(s) • {pipelineStats.recentCalls} sur 7 jours</span>
+            <button onClick={() => setShowPipeline(true)} className="p-1 text-gray-400 hover:text-gray-600" title="Configurer les statuts">
+              <Settings className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
         {/* Processing */}
         <div className="bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl shadow-sm p-4 border border-emerald-200">
           <div className="flex flex-wrap items-center gap-2">
@@ -967,7 +5381,7 @@ export default function DatabaseManager() {
 
         {/* Filters */}
         <div className="bg-white rounded-xl shadow-sm p-4">
-          <div className="grid grid-cols-2 md:grid-cols-5 lg:grid-cols-10 gap-2">
+          <div className="grid grid-cols-2 md:grid-cols-6 lg:grid-cols-12 gap-2">
             <div>
               <label className="text-xs text-gray-500 block mb-1">Code Postal</label>
               <select value={filters.postalCode} onChange={(e) => setFilters(f => ({ ...f, postalCode: e.target.value }))} className="w-full border rounded-lg px-2 py-1.5 text-sm">
@@ -982,6 +5396,14 @@ export default function DatabaseManager() {
                 {categories.map(c => <option key={c} value={c}>{c}</option>)}
               </select>
             </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">Statut</label>
+              <select value={filters.pipelineStatus} onChange={(e) => setFilters(f => ({ ...f, pipelineStatus: e.target.value }))} className="w-full border rounded-lg px-2 py-1.5 text-sm">
+                <option value="">Tous</option>
+                {pipelineStatuses.map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+                <option value={NO_STATUS}>Sans statut</option>
+              </select>
+            </div>
             <div>
               <label className="text-xs text-gray-500 block mb-1">Temps max</label>
               <select value={filters.maxDuration} onChange={(e) => setFilters(f => ({ ...f, maxDuration: parseInt(e.target.value) }))} className="w-full border rounded-lg px-2 py-1.5 text-sm">
@@ -1001,13 +5423,14 @@ export default function DatabaseManager() {
             </div>
             <div>
               <label className="text-xs text-gray-500 block mb-1">Trier</label>
-              <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="w-full border rounded-lg px-2 py-1.5 text-sm">
-                <option value="createdAt">Date</option>
-                <option value="uniqueId">ID</option>
-                <option value="name">Nom</option>
-                <option value="duration">Trajet</option>
-                <option value="postalCode">CP</option>
-              </select>
+              <div className="flex gap-1">
+                <select value={sortBy} onChange={(e) => changeSort(e.target.value)} className="w-full min-w-0 border rounded-lg px-2 py-1.5 text-sm">
+                  {tableColumns.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                </select>
+                <button onClick={() => changeSort(sortBy)} className="px-2 border rounded-lg hover:bg-gray-50" title={sortDir === 'asc' ? 'Croissant' : 'Décroissant'}>
+                  {sortDir === 'asc' ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+              </div>
             </div>
             <div>
               <label className="text-xs text-gray-500 block mb-1">Recherche</label>
@@ -1026,101 +5449,253 @@ export default function DatabaseManager() {
               className={`rounded-lg text-sm mt-5 flex items-center justify-center gap-1 ${filters.onlyExported ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-700'}`}>
               <History className="w-4 h-4" />Exp.
             </button>
-            <button onClick={() => setShowDuplicates(!showDuplicates)}
+            <button onClick={() => setFilters(f => ({ ...f, onlyIdIssues: !f.onlyIdIssues }))} title="SIRET/SIREN invalides ou incohérents"
+              className={`rounded-lg text-sm mt-5 flex items-center justify-center gap-1 ${filters.onlyIdIssues ? 'bg-red-600 text-white' : 'bg-red-50 text-red-600'}`}>
+              <ShieldAlert className="w-4 h-4" />{stats.idIssues}
+            </button>
+            <button onClick={() => setShowDuplicates(!showDuplicates)} title="Doublons"
               className={`rounded-lg text-sm mt-5 flex items-center justify-center gap-1 ${showDuplicates ? 'bg-orange-500 text-white' : 'bg-orange-50 text-orange-600'}`}>
-              <AlertCircle className="w-4 h-4" />{duplicateIds.size}
+              <AlertCircle className="w-4 h-4" />{showDuplicates && duplicateIds.size}
             </button>
           </div>
+          {customFields.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-3 pt-3 border-t text-sm">
+              <Tag className="w-4 h-4 text-purple-500" />
+              <select value={filters.customField}
+                onChange={(e) => {
+                  const def = customFields.find(f => f.key === e.target.value);
+                  setFilters(f => ({ ...f, customField: e.target.value, customOp: def ? CUSTOM_FILTER_OPS[def.type][0].value : 'contains', customValue: '' }));
+                }}
+                className="border rounded-lg px-2 py-1.5 text-sm">
+                <option value="">Champ personnalisé...</option>
+                {customFields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              {customFilterDef && (
+                <>
+                  <select value={filters.customOp} onChange={(e) => setFilters(f => ({ ...f, customOp: e.target.value }))} className="border rounded-lg px-2 py-1.5 text-sm">
+                    {CUSTOM_FILTER_OPS[customFilterDef.type].map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    <option value="filled">renseigné</option>
+                    <option value="empty">vide</option>
+                  </select>
+                  {!['filled', 'empty'].includes(filters.customOp) && (customFilterDef.type === 'boolean' ? (
+                    <select value={filters.customValue} onChange={(e) => setFilters(f => ({ ...f, customValue: e.target.value }))} className="border rounded-lg px-2 py-1.5 text-sm">
+                      <option value="">-</option>
+                      <option value="true">Oui</option>
+                      <option value="false">Non</option>
+                    </select>
+                  ) : (
+                    <input type={customFilterDef.type === 'date' ? 'date' : 'text'} value={filters.customValue}
+                      onChange={(e) => setFilters(f => ({ ...f, customValue: e.target.value }))}
+                      className="border rounded-lg px-2 py-1.5 text-sm w-40" />
+                  ))}
+                  <button onClick={() => setFilters(f => ({ ...f, customField: '', customValue: '' }))} className="text-gray-400 hover:text-gray-600">
+                    <X className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {allTags.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-3 pt-3 border-t text-sm">
+              <Tag className="w-4 h-4 text-blue-500" />
+              <select value={filters.tagMode} onChange={(e) => setFilters(f => ({ ...f, tagMode: e.target.value }))} className="border rounded-lg px-2 py-1 text-sm">
+                {TAG_FILTER_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+              </select>
+              {allTags.map(t => {
+                const active = matchTagFilter(filters.tags, [t], 'any');
+                return (
+                  <button key={t} onClick={() => setFilters(f => ({ ...f, tags: active ? removeTags(f.tags, [t]) : addTags(f.tags, [t]) }))}
+                    className={`rounded ${active ? 'ring-2 ring-blue-500' : 'opacity-60 hover:opacity-100'}`}>
+                    <TagChip name={t} definitions={tagDefinitions} />
+                  </button>
+                );
+              })}
+              {filters.tags.length > 0 && (
+                <button onClick={() => setFilters(f => ({ ...f, tags: [] }))} className="text-gray-400 hover:text-gray-600">
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          )}
+          {showDuplicates && (
+            <div className="flex flex-wrap items-center gap-3 mt-3 pt-3 border-t text-sm text-orange-700">
+              <AlertCircle className="w-4 h-4" />
+              <span>{duplicateClusters.length} groupe(s) de doublons • {duplicateIds.size} fiches</span>
+              <label className="flex items-center gap-2 ml-auto">
+                Seuil de similarité nom/adresse
+                <input type="range" min="0.6" max="1" step="0.01" value={fuzzyThreshold}
+                  onChange={(e) => changeFuzzyThreshold(parseFloat(e.target.value))} className="w-32" />
+                <span className="font-mono w-10">{Math.round(fuzzyThreshold * 100)}%</span>
+              </label>
+            </div>
+          )}
         </div>
 
         {/* Actions */}
         <div className="flex flex-wrap gap-2">
-          <button onClick={removeDuplicates} disabled={!duplicateIds.size}
-            className="px-3 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 flex items-center gap-2 text-sm">
-            <Trash2 className="w-4 h-4" />Suppr. doublons
+          <button onClick={() => setMergeIndex(0)} disabled={data.length < 2}
+            className="px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 flex items-center gap-2 text-sm">
+            <GitMerge className="w-4 h-4" />Fusionner doublons{showDuplicates && ` (${duplicateClusters.length})`}
+          </button>
+          <button onClick={() => setShowNewContact(true)}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm">
+            <Plus className="w-4 h-4" />Nouvelle fiche
           </button>
           <button onClick={exportData} disabled={!filteredData.length}
             className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2 text-sm">
             <Download className="w-4 h-4" />Exporter ({filteredData.length})
           </button>
+          <button onClick={() => setShowCustomFields(true)}
+            className="px-3 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 flex items-center gap-2 text-sm">
+            <Settings className="w-4 h-4" />Champs perso ({customFields.length})
+          </button>
+          <button onClick={() => setShowTags(true)}
+            className="px-3 py-2 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 flex items-center gap-2 text-sm">
+            <Tag className="w-4 h-4" />Tags ({allTags.length})
+          </button>
+          <button onClick={() => setShowColumnChooser(true)}
+            className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center gap-2 text-sm">
+            <Columns className="w-4 h-4" />Colonnes
+          </button>
+          <button onClick={() => setShowJournal(true)}
+            className="px-3 py-2 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 flex items-center gap-2 text-sm">
+            <Undo2 className="w-4 h-4" />Annuler ({journal.filter(e => !e.undone).length})
+          </button>
+          <button onClick={() => setShowTrash(true)}
+            className="px-3 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 flex items-center gap-2 text-sm">
+            <Trash2 className="w-4 h-4" />Corbeille ({trash.length})
+          </button>
           <button onClick={clearAllData} className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm">
             Vider base
           </button>
         </div>
 
         {/* Table */}
-        {filteredData.length > 0 && (
+        {hasRows && (
           <div className="bg-white rounded-xl shadow-sm overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full text-sm">
-                <thead className="bg-gray-50">
+            {selectedRecords.length > 0 && (
+              <div className="p-3 bg-blue-50 border-b flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-blue-800 flex items-center gap-1">
+                  <ListChecks className="w-4 h-4" />{selectedRecords.length} sélectionnée(s)
+                  {selectedRecords.length > selectedInView && <span className="font-normal text-blue-600">(dont {selectedRecords.length - selectedInView} hors filtres)</span>}
+                </span>
+                <span className="flex-1" />
+                <button onClick={() => exportRecords(selectedRecords)} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                  <Download className="w-4 h-4" />Exporter
+                </button>
+                <button onClick={() => enrichRecords(selectedRecords, 'Enrichissement API de la sélection')} disabled={processing.type}
+                  className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <Building2 className="w-4 h-4" />Enrichir
+                </button>
+                <button onClick={() => geocodeRecords(selectedRecords.filter(r => r.address || r.postalCode), 'Géocodage de la sélection')} disabled={processing.type}
+                  className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <MapPin className="w-4 h-4" />Géocoder
+                </button>
+                <button onClick={bulkRoutes} disabled={processing.type} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <Route className="w-4 h-4" />Trajets
+                </button>
+                <button onClick={bulkSetCategory} disabled={processing.type} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <Layers className="w-4 h-4" />Catégorie
+                </button>
+                <button onClick={() => bulkEditTags('add')} disabled={processing.type} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <Tag className="w-4 h-4" />+ Tags
+                </button>
+                <button onClick={() => bulkEditTags('remove')} disabled={processing.type} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <Tag className="w-4 h-4" />− Tags
+                </button>
+                <button onClick={bulkResetExport} disabled={processing.type} className="px-2 py-1 bg-white rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                  <RefreshCw className="w-4 h-4" />Statut export
+                </button>
+                <button onClick={bulkDelete} disabled={processing.type} className="px-2 py-1 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 disabled:opacity-50 flex items-center gap-1">
+                  <Trash2 className="w-4 h-4" />Corbeille
+                </button>
+                <button onClick={clearSelection} className="p-1 text-gray-400 hover:text-gray-600" title="Désélectionner">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+            <div ref={tableRef} onScroll={measureTable} className="overflow-auto max-h-[70vh]">
+              <table className="text-sm table-fixed min-w-full" style={{ width: tableWidth }}>
+                <thead className="bg-gray-50 sticky top-0 z-10">
                   <tr>
-                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">ID</th>
-                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Nom</th>
-                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Adresse</th>
-                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Tél.</th>
-                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Effectif</th>
-                    <th className="px-2 py-2 text-center text-xs font-medium text-gray-500">Trajet</th>
-                    <th className="px-2 py-2 text-center text-xs font-medium text-gray-500">Export</th>
-                    <th className="px-2 py-2 w-8"></th>
+                    <th className="px-2 py-2 w-10">
+                      <input type="checkbox" checked={allFilteredSelected} onChange={toggleSelectAllFiltered}
+                        ref={(el) => { if (el) el.indeterminate = selectedInView > 0 && !allFilteredSelected; }}
+                        title={`Sélectionner les ${filteredData.length} fiches filtrées`} />
+                    </th>
+                    {visibleColumns.map(c => (
+                      <th key={c.key} onClick={() => changeSort(c.key)} style={{ width: c.width }}
+                        className={`relative px-2 py-2 text-left text-xs font-medium cursor-pointer select-none hover:bg-gray-100 ${c.custom ? 'text-purple-500' : 'text-gray-500'}`}>
+                        <div className="flex items-center gap-1 truncate">
+                          {c.label}
+                          {sortBy === c.key && (sortDir === 'asc' ? <ChevronUp className="w-3 h-3 shrink-0" /> : <ChevronDown className="w-3 h-3 shrink-0" />)}
+                        </div>
+                        <div onMouseDown={(e) => startColumnResize(e, c)} onClick={(e) => e.stopPropagation()}
+                          className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-blue-300" />
+                      </th>
+                    ))}
+                    <th className="px-2 py-2 w-12"></th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-100">
-                  {filteredData.slice(0, 100).map((r) => {
+                  {tableWindow.start > 0 && <tr style={{ height: tableWindow.start * TABLE_ROW_HEIGHT }} />}
+                  {pageRows.slice(tableWindow.start, tableWindow.end).map((r, i) => {
                     const isSmall = SMALL_BUSINESS_CODES.includes(r.apiEffectifCode);
-                    const isClose = r.durationSeconds && r.durationSeconds <= 1800;
+                    const isClose = isCloseRoute(r);
+                    const isSelected = selectedIds.has(r.uniqueId);
                     return (
-                      <tr key={r.uniqueId} className={`${duplicateIds.has(r.uniqueId) ? 'bg-orange-50' : ''} ${isSmall && isClose ? 'bg-green-50' : isSmall ? 'bg-purple-50' : ''}`}>
-                        <td className="px-2 py-2">
-                          <div className="font-mono text-xs text-blue-600 font-medium">{r.uniqueId}</div>
-                          <div className="text-xs text-gray-400">{formatDate(r.createdAt)}</div>
-                        </td>
-                        <td className="px-2 py-2">
-                          <div className="font-medium text-gray-800 truncate max-w-[150px]">{r.name}</div>
-                          <span className="text-xs text-gray-400">{r.category}</span>
-                        </td>
-                        <td className="px-2 py-2">
-                          <div className="text-xs text-gray-600 truncate max-w-[150px]">{r.address}</div>
-                          <div className="font-mono text-xs text-blue-600">{r.postalCode} {r.city}</div>
-                        </td>
-                        <td className="px-2 py-2">
-                          {r.phone && <div className="font-mono text-xs">{formatPhone(r.phone)}</div>}
-                          {r.mobile && <div className="font-mono text-xs text-green-600">{formatPhone(r.mobile)}</div>}
-                        </td>
-                        <td className="px-2 py-2">
-                          {r.apiEffectifCode ? (
-                            <span className={`px-1.5 py-0.5 rounded text-xs ${isSmall ? 'bg-purple-200 text-purple-800 font-medium' : 'bg-gray-100'}`}>
-                              {r.apiEffectifLabel || r.apiEffectifCode}
-                            </span>
-                          ) : <span className="text-gray-300">-</span>}
-                        </td>
-                        <td className="px-2 py-2 text-center">
-                          {r.durationSeconds ? (
-                            <div className={isClose ? 'text-green-600 font-medium' : 'text-gray-600'}>
-                              <div className="text-xs">{formatDuration(r.durationSeconds)}</div>
-                              <div className="text-xs text-gray-400">{formatDistance(r.distanceMeters)}</div>
-                            </div>
-                          ) : <span className="text-gray-200">-</span>}
-                        </td>
-                        <td className="px-2 py-2 text-center">
-                          {!r.lastExportedAt ? (
-                            <span className="px-1.5 py-0.5 bg-emerald-100 text-emerald-700 rounded text-xs">New</span>
-                          ) : (
-                            <div className="text-xs text-gray-500">{r.exportCount}x</div>
-                          )}
+                      <tr key={r.uniqueId} onClick={() => setDetailId(r.uniqueId)} style={{ height: TABLE_ROW_HEIGHT }}
+                        className={`cursor-pointer hover:bg-blue-50/50 ${highlightId === r.uniqueId ? 'ring-2 ring-inset ring-blue-400' : ''} ${isSelected ? 'bg-blue-50' : duplicateIds.has(r.uniqueId) ? 'bg-orange-50' : isSmall && isClose ? 'bg-green-50' : isSmall ? 'bg-purple-50' : ''}`}>
+                        <td className="px-2 py-2 select-none" onClick={(e) => { e.stopPropagation(); toggleSelection(pageOffset + tableWindow.start + i, e.shiftKey); }}>
+                          <input type="checkbox" checked={isSelected} readOnly className="pointer-events-none" />
                         </td>
+                        {visibleColumns.map(c => (
+                          <td key={c.key} className="px-2 py-2 overflow-hidden whitespace-nowrap">
+                            {c.render(r, { showDuplicates, clusterById, onMerge: setMergeIndex, tagDefinitions, pipelineStatuses })}
+                          </td>
+                        ))}
                         <td className="px-2 py-2">
-                          <button onClick={() => deleteRecord(r.uniqueId)} className="text-red-400 hover:text-red-600">
-                            <X className="w-4 h-4" />
-                          </button>
+                          <div className="flex items-center gap-1">
+                            <button onClick={(e) => { e.stopPropagation(); setHistoryRecord(r); }} className="text-gray-400 hover:text-blue-600" title="Historique">
+                              <History className="w-4 h-4" />
+                            </button>
+                            <button onClick={(e) => { e.stopPropagation(); deleteRecord(r.uniqueId); }} className="text-red-400 hover:text-red-600" title="Mettre à la corbeille">
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
                         </td>
                       </tr>
                     );
                   })}
+                  {tableWindow.end < pageRows.length && <tr style={{ height: (pageRows.length - tableWindow.end) * TABLE_ROW_HEIGHT }} />}
                 </tbody>
               </table>
             </div>
-            {filteredData.length > 100 && <div className="p-3 text-center text-gray-500 bg-gray-50 text-sm">100 / {filteredData.length}</div>}
+            <div className="p-3 bg-gray-50 border-t flex flex-wrap items-center gap-3 text-sm text-gray-600">
+              <span>
+                {pageOffset + Math.min(tableWindow.firstVisible + 1, pageRows.length)}–{pageOffset + tableWindow.lastVisible} sur {filteredData.length}
+              </span>
+              <select value={pageSize} onChange={(e) => changePageSize(Number(e.target.value))} className="border rounded-lg px-2 py-1 text-sm">
+                {PAGE_SIZES.map(size => <option key={size} value={size}>{size ? `${size} par page` : 'Tout (défilement)'}</option>)}
+              </select>
+              {pageSize > 0 && (
+                <div className="flex items-center gap-1">
+                  <button onClick={() => changePage(page - 1)} disabled={page === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30">
+                    <ChevronLeft className="w-4 h-4" />
+                  </button>
+                  <span>Page {page + 1} / {pageCount}</span>
+                  <button onClick={() => changePage(page + 1)} disabled={page >= pageCount - 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30">
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+              <span className="flex-1" />
+              <input type="text" value={jumpId} onChange={(e) => setJumpId(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && jumpToRecord()}
+                placeholder="Aller à l'ID..." className="border rounded-lg px-2 py-1 text-sm w-36 font-mono" />
+              <button onClick={jumpToRecord} className="px-2 py-1 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 text-sm">
+                <ArrowRight className="w-4 h-4" />
+              </button>
+            </div>
           </div>
         )}
 